@@ -1,3 +1,6 @@
+// Before ./src is loaded: settings.js and ledger.js read SETTINGS_FILE and
+// LEDGER_FILE when they load
+require("dotenv").config();
 const express = require("express");
 const multer = require("multer");
 const path = require("path");
@@ -5,9 +8,6 @@ const fs = require("fs");
 const fsPromises = require("fs").promises;
 const { exec } = require("child_process");
 const {
-    processLabels,
-    processTikTokPair,
-    processShopifyBulk,
     extractLabelData,
     extractBulkLabels,
     extractBulkSlips,
@@ -15,7 +15,38 @@ const {
     isSlip,
     hasItemsText,
 } = require("./src/processor");
-require("dotenv").config();
+const {
+    getCropProfiles,
+    getCropProfile,
+    saveCropProfile,
+    deleteCropProfile,
+    getShops,
+    saveShop,
+    deleteShop,
+} = require("./src/settings");
+const { clearAnalysisCache, contentHash } = require("./src/analysis");
+const { runTask, reloadWorkers } = require("./src/workers");
+const {
+    createJob,
+    getJob,
+    emitJobEvent,
+    finishJob,
+    cancelJob,
+    streamJob,
+} = require("./src/jobs");
+const {
+    recordProcessed,
+    findProcessed,
+    hasSameSources,
+    queryLedger,
+    recordDownloaded,
+    lastDownloads,
+} = require("./src/ledger");
+const { findDuplicates } = require("./src/duplicates");
+const { isLabelLayout } = require("./src/layouts");
+const { buildPickListPdf } = require("./src/picklist");
+const { buildBatchPdf } = require("./src/batch");
+const { classifyUploads } = require("./src/detect");
 
 const app = express();
 const upload = multer({ storage: multer.memoryStorage() }); // Store files in memory buffer
@@ -55,14 +86,40 @@ async function updateEnvFileValue(key, newPath) {
     await fsPromises.writeFile(envPath, envContent);
 }
 
-async function saveToOutputDir(filename, pdfBytes) {
+// A shop with its own output folder (see getShops) keeps its files apart
+function outputDirFor(metadata) {
+    const shopName = metadata && metadata.shop;
+    const shop = shopName ? getShops().find((s) => s.name === shopName) : null;
+    return (shop && shop.outputDir) || outputDir;
+}
+
+// Output files are saved without their .pdf extension
+function outputPathFor(filename, directory) {
+    const name = filename.endsWith(".pdf") ? filename.slice(0, -4) : filename;
+    return path.join(directory, name);
+}
+
+async function saveToOutputDir(filename, data, directory = outputDir) {
+    if (!directory) return false;
+    try {
+        if (directory !== outputDir) {
+            await fsPromises.mkdir(directory, { recursive: true });
+        }
+        const filePath = outputPathFor(filename, directory);
+        await fsPromises.writeFile(filePath, data);
+        return true;
+    } catch (err) {
+        console.error(`Failed to save ${filename} to output dir:`, err);
+        return false;
+    }
+}
+
+// Batch-level files (combined PDF, pick list) keep their .pdf extension, so
+// they can't be mistaken for an order's output
+async function saveBatchFile(filename, data) {
     if (!outputDir) return false;
     try {
-        const name = filename.endsWith(".pdf")
-            ? filename.slice(0, -4)
-            : filename;
-        const filePath = path.join(outputDir, name);
-        await fsPromises.writeFile(filePath, pdfBytes);
+        await fsPromises.writeFile(path.join(outputDir, filename), data);
         return true;
     } catch (err) {
         console.error(`Failed to save ${filename} to output dir:`, err);
@@ -71,18 +128,157 @@ async function saveToOutputDir(filename, pdfBytes) {
 }
 
 async function saveResultsToOutputDir(results) {
-    if (!outputDir) return;
     for (const result of results) {
+        const directory = outputDirFor(result.metadata);
+        if (!directory) continue;
         if (result.pdfBase64) {
+            const outputPath = outputPathFor(result.filename, directory);
+            const archivedPath = result.updated
+                ? await archiveOutput(outputPath)
+                : null;
             const saved = await saveToOutputDir(
                 result.filename,
                 Buffer.from(result.pdfBase64, "base64"),
+                directory,
+            );
+            if (saved) {
+                result.savedLocally = true;
+                await recordProcessed(result, outputPath, archivedPath);
+            }
+        }
+        // ZPL sits next to the PDF as <name>.zpl, ready to send to a raw printer queue
+        if (result.zpl) {
+            await saveToOutputDir(
+                `${result.filename}.zpl`,
+                result.zpl,
+                directory,
             );
-            if (saved) result.savedLocally = true;
         }
     }
 }
 
+// Moves an order's earlier output (and its .zpl) into "old versions/" with a
+// timestamp, before a version merged from changed sources is saved in its place.
+// A counter keeps versions archived within the same second apart.
+async function archiveOutput(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const archiveDir = path.join(path.dirname(filePath), "old versions");
+    const stamped = path.join(
+        archiveDir,
+        `${path.basename(filePath)}-${batchStamp()}`,
+    );
+    let archived = stamped;
+    for (let n = 2; fs.existsSync(archived); n++) {
+        archived = `${stamped}-${n}`;
+    }
+    try {
+        await fsPromises.mkdir(archiveDir, { recursive: true });
+        await fsPromises.rename(filePath, archived);
+        if (fs.existsSync(`${filePath}.zpl`)) {
+            await fsPromises.rename(`${filePath}.zpl`, `${archived}.zpl`);
+        }
+        console.log(`Archived previous version of ${filePath} → ${archived}`);
+        return archived;
+    } catch (err) {
+        console.warn(`Could not archive ${filePath}:`, err.message);
+        return null;
+    }
+}
+
+// Suspected duplicate shipments in the batch (see src/duplicates.js),
+// checked against the ledger and every output folder's "old labels" before
+// the batch itself is saved
+function checkDuplicates(results) {
+    const directories = [
+        outputDir,
+        ...getShops().map((shop) => shop.outputDir),
+    ].filter(Boolean);
+    return findDuplicates(
+        results,
+        [...new Set(directories)].map((dir) => path.join(dir, "old labels")),
+    );
+}
+
+// True when a merged output replaces an earlier one, which is archived when
+// it is saved: the order is in the ledger or its output file already exists
+function replacesOutput(previous, output) {
+    if (previous) return true;
+    const directory = outputDirFor(output.metadata);
+    return (
+        Boolean(directory) &&
+        fs.existsSync(outputPathFor(output.filename, directory))
+    );
+}
+
+// Result for an order already merged from the same source files: nothing is
+// merged or saved again
+function alreadySavedResult(orderId, previous, fileDate) {
+    return {
+        filename: orderId,
+        pdfBase64: null,
+        metadata: previous.metadata,
+        fileDate,
+        downloaded: true,
+        savedLocally: true,
+    };
+}
+
+// A Shopify export is merged in one go, so its orders are checked against the
+// ledger afterwards, each by its own pages of the export (result.sourceHash):
+// the ones saved before from the same pages are reported as skipped, the rest
+// replace any earlier output
+function skipAlreadySaved(results, file) {
+    return results.map(({ sourceHash, ...result }) => {
+        const orderId = result.metadata.orderId || result.metadata.id;
+        result.sourceFiles = describeSources([{ file, sourceHash }]);
+        const previous = findProcessed(orderId);
+        if (previous && hasSameSources(previous, result.sourceFiles)) {
+            return alreadySavedResult(orderId, previous, result.fileDate);
+        }
+        return { ...result, updated: replacesOutput(previous, result) };
+    });
+}
+
+// Name and content hash of each input file an order was merged from, as the
+// ledger records them (result.sourceFiles); each file is hashed once. A part
+// cut from a shared file (bulk sheet cell, slip pages, export pages) carries
+// its file as `file` and counts by its own sourceHash, so orders added to that
+// file don't change the others' sources.
+const sourceHashes = new WeakMap();
+function describeSources(sources) {
+    return [...new Set(sources)].map((source) => {
+        const f = source.file || source;
+        if (source.sourceHash) {
+            return { name: f.originalName, sha256: source.sourceHash };
+        }
+        if (!sourceHashes.has(f)) sourceHashes.set(f, contentHash(f.buffer));
+        return { name: f.originalName, sha256: sourceHashes.get(f) };
+    });
+}
+
+// Timestamp for batch-level files (pick list, combined PDF): YYYY-MM-DD-HH-MM-SS
+function batchStamp() {
+    return new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+}
+
+// One print-ready PDF of the whole batch, in response order, when the request
+// asks for combinedPdf; saved to the output folder next to the per-order files
+async function buildCombinedPdf(results, params) {
+    if (!parseFlag(params.combinedPdf)) return null;
+    const batch = await buildBatchPdf(results, {
+        separatorPages: parseFlag(params.separatorPages),
+    });
+    if (!batch) return null;
+    const filename = `batch-${batchStamp()}.pdf`;
+    const savedLocally = await saveBatchFile(filename, batch.pdfBytes);
+    return {
+        filename,
+        pdfBase64: Buffer.from(batch.pdfBytes).toString("base64"),
+        orderCount: batch.orderCount,
+        savedLocally,
+    };
+}
+
 // Move a list of source filenames from sourceDir into sourceDir/old labels/
 async function moveToOldLabels(filenames, sourceDir) {
     if (!filenames || filenames.length === 0) return;
@@ -266,6 +462,132 @@ app.post("/set-output-dir", express.json(), async (req, res) => {
     }
 });
 
+// --- CROP PROFILES ---
+// Named margin/rotation presets stored in settings.json (see src/settings.js)
+app.get("/crop-profiles", (req, res) => {
+    res.json({ success: true, profiles: getCropProfiles() });
+});
+
+app.get("/crop-profiles/:name", (req, res) => {
+    const profile = getCropProfile(req.params.name);
+    if (!profile) {
+        return res
+            .status(404)
+            .json({ success: false, error: "Profile not found" });
+    }
+    res.json({ success: true, name: req.params.name, profile });
+});
+
+async function handleSaveCropProfile(req, res) {
+    const body = req.body || {};
+    const name = req.params.name || body.name;
+    try {
+        const profile = await saveCropProfile(name, body);
+        reloadWorkers();
+        console.log(`Saved crop profile: ${name}`);
+        res.json({ success: true, name, profile });
+    } catch (err) {
+        res.status(400).json({ success: false, error: err.message });
+    }
+}
+
+app.post("/crop-profiles", express.json(), handleSaveCropProfile);
+app.put("/crop-profiles/:name", express.json(), handleSaveCropProfile);
+
+app.delete("/crop-profiles/:name", async (req, res) => {
+    try {
+        const removed = await deleteCropProfile(req.params.name);
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: "No saved profile with that name (built-in profiles cannot be deleted)",
+            });
+        }
+        reloadWorkers();
+        console.log(`Deleted crop profile: ${req.params.name}`);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// --- SHOPS ---
+// Slip markers, Shopify end-of-order markers and output folder per shop
+// (see getShops in src/settings.js)
+app.get("/shops", (req, res) => {
+    res.json({ success: true, shops: getShops() });
+});
+
+async function handleSaveShop(req, res) {
+    const body = req.body || {};
+    try {
+        const shop = await saveShop({
+            ...body,
+            name: req.params.name || body.name,
+        });
+        // Cached analyses hold slip types from the old markers; workers also
+        // re-read the shop list
+        clearAnalysisCache();
+        reloadWorkers();
+        console.log(`Saved shop: ${shop.name}`);
+        res.json({ success: true, shop });
+    } catch (err) {
+        res.status(400).json({ success: false, error: err.message });
+    }
+}
+
+app.post("/shops", express.json(), handleSaveShop);
+app.put("/shops/:name", express.json(), handleSaveShop);
+
+app.delete("/shops/:name", async (req, res) => {
+    try {
+        const removed = await deleteShop(req.params.name);
+        if (!removed) {
+            return res
+                .status(404)
+                .json({ success: false, error: "Shop not found" });
+        }
+        clearAnalysisCache();
+        reloadWorkers();
+        console.log(`Deleted shop: ${req.params.name}`);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// "true"/"false" from a query string or form field; undefined keeps the profile setting
+function parseAutoCrop(value) {
+    if (value === "true" || value === "1") return true;
+    if (value === "false" || value === "0") return false;
+    return undefined;
+}
+
+// "4x6" selects thermal-printer pages; anything else keeps the Letter layout
+function parseOutputMode(value) {
+    return value === "4x6" ? "4x6" : "letter";
+}
+
+// "zpl" also returns each label as Zebra ZPL; anything else is PDF only
+function parseOutputFormat(value) {
+    return value === "zpl" ? "zpl" : "pdf";
+}
+
+// Zebra print resolution for ZPL output; 203 dpi unless 300 is asked for
+function parseDpi(value) {
+    return Number(value) === 300 ? 300 : 203;
+}
+
+// Bulk sheet layout ("1x1", "1x2", "2x2", "3x1"); anything else auto-detects
+function parseLabelLayout(value) {
+    return isLabelLayout(value) ? value : undefined;
+}
+
+// Boolean request options ("true"/"1" from forms and query strings)
+function parseFlag(value) {
+    return value === true || value === "true" || value === "1";
+}
+
 // Helper function to check if output file exists
 // Checks for both with and without .pdf extension since downloaded files may or may not have it
 async function checkFileExists(filename) {
@@ -296,18 +618,148 @@ async function checkFileExistsInDir(filename, directory) {
     }
 }
 
+// Sort by "Date Ordered" (Metadata) THEN by "Download Date" (File Timestamp)
+function sortResults(results) {
+    results.sort((a, b) => {
+        // 1. Parse Metadata Date (MM/DD/YYYY)
+        const parseDate = (dateStr) => {
+            if (!dateStr || dateStr === "-") return 0;
+            const d = new Date(dateStr);
+            return isNaN(d.getTime()) ? 0 : d.getTime();
+        };
+
+        const dateA = parseDate(a.metadata.date);
+        const dateB = parseDate(b.metadata.date);
+
+        if (dateA !== dateB) {
+            return dateB - dateA; // Descending (Latest first)
+        }
+
+        // 2. Secondary Sort: File Download Date
+        const timeA = a.fileDate || 0;
+        const timeB = b.fileDate || 0;
+        return timeB - timeA; // Descending
+    });
+}
+
+// Publishes a progress event when the batch runs as a job (see src/jobs.js)
+function report(options, type, data) {
+    if (options.job) emitJobEvent(options.job, type, data);
+}
+
+// Worker pool options for a batch: a cancelled job drops its queued merges
+function taskOptions(options) {
+    return { signal: options.job ? options.job.signal : undefined };
+}
+
+// A merge dropped from the worker queue by a cancel: not an error of its own
+function isCancelled(err) {
+    return err && err.name === "AbortError";
+}
+
+/**
+ * Handles orders side by side (their merges run in the worker pool) and joins
+ * each one's { results, errors } in the orders' own order, so the response
+ * doesn't depend on which merge finished first. A failing order only adds
+ * its own error. Each order is reported as it finishes; after a cancel,
+ * orders whose merge was dropped from the queue (no result and no error, see
+ * isCancelled) are counted in one error, the others keep their errors.
+ * @param {Array} items - one per order
+ * @param {Object} options - batch options (options.job when run as a job)
+ * @param {Function} handle - async (item) => ({ results, errors })
+ * @returns {Promise<{results: Array, errors: string[]}>}
+ */
+async function forEachOrder(items, options, handle) {
+    const signal = taskOptions(options).signal;
+    const outcomes = await Promise.all(
+        items.map(async (item) => {
+            const outcome = await handle(item);
+            const empty =
+                outcome.results.length === 0 && outcome.errors.length === 0;
+            if (signal && signal.aborted && empty) return null;
+            // Rows only: the PDFs and ZPL come once, in the final response,
+            // instead of being held twice by the job for its whole lifetime
+            for (const { pdfBase64, zpl, ...row } of outcome.results) {
+                report(options, "merged", {
+                    orderId: row.metadata.orderId,
+                    result: row,
+                });
+            }
+            for (const message of outcome.errors) {
+                report(options, "error", { message });
+            }
+            return outcome;
+        }),
+    );
+    const finished = outcomes.filter(Boolean);
+    const results = finished.flatMap((o) => o.results);
+    const errors = finished.flatMap((o) => o.errors);
+    const skipped = outcomes.length - finished.length;
+    if (skipped > 0) {
+        errors.push(`Cancelled: ${skipped} order(s) were not processed.`);
+    }
+    return { results, errors };
+}
+
+/**
+ * Lets a batch route run as a background job: called with job=true (query
+ * string or form field), it answers 202 { jobId } at once and the handler's
+ * response becomes the job's final "done" event. The handler passes req.job
+ * to the pipelines as options.job so they can report progress.
+ * @param {string} kind - job kind, e.g. "scan-default"
+ * @param {Function} handler - Express handler (req, res)
+ * @returns {Function} Express handler
+ */
+function jobRoute(kind, handler) {
+    return async (req, res) => {
+        const wantsJob =
+            parseFlag(req.query.job) || parseFlag(req.body && req.body.job);
+        if (!wantsJob) return handler(req, res);
+
+        const job = createJob(kind);
+        req.job = job;
+        res.status(202).json({ success: true, jobId: job.id });
+
+        let status = 200;
+        const jobRes = {
+            status(code) {
+                status = code;
+                return jobRes;
+            },
+            json: (body) => finishJob(job, status, body),
+            send: (body) => finishJob(job, status, body),
+        };
+        try {
+            await handler(req, jobRes);
+        } catch (err) {
+            console.error(`Job ${job.id} failed:`, err);
+            finishJob(job, 500, "Server Error: " + err.message);
+        }
+    };
+}
+
 // Helper logic for processing array of file objects
-async function processFilePairs(fileObjects) {
+// options.cropProfile: crop profile name applied to every label in this batch
+// options.autoCrop: true/false overrides the profile's content-aware cropping
+// options.outputMode: "letter" (default) or "4x6" thermal pages
+// options.outputFormat/dpi: "zpl" adds a ZPL copy of each label at 203 or 300 dpi
+async function processFilePairs(fileObjects, options = {}) {
     const shippingLabels = [];
     const orderSlips = [];
     const usedSourceFiles = new Set(); // track originals consumed by NEW processing
 
     // Classification with Content Check
     for (const f of fileObjects) {
-        const detectedSlip = await isSlip(f.buffer);
+        // f.role is set when the caller already classified the file (/process)
+        const detectedSlip = f.role
+            ? f.role === "slip"
+            : await isSlip(f.buffer);
         if (detectedSlip) {
             orderSlips.push(f);
-        } else if (f.originalName.toLowerCase().includes("label")) {
+        } else if (
+            f.role === "label" ||
+            f.originalName.toLowerCase().includes("label")
+        ) {
             shippingLabels.push(f);
         } else {
             // Fallback: If not explicitly a slip, and filename doesn't say label.
@@ -358,112 +810,248 @@ async function processFilePairs(fileObjects) {
         }
     }
 
-    const results = [];
-    const errors = [];
-
     console.log(
         `Processing ${fileObjects.length} files. Found ${shippingLabels.length} labels and ${orderSlips.length} slips.`,
     );
 
-    for (const slip of orderSlips) {
-        try {
-            const metadata = await extractLabelData(slip.buffer);
+    // Files /process already classified were reported there
+    for (const [files, kind] of [
+        [orderSlips, "slip"],
+        [shippingLabels, "label"],
+    ]) {
+        files
+            .filter((f) => !f.role)
+            .forEach((f) =>
+                report(options, "classified", { file: f.originalName, kind }),
+            );
+    }
 
-            if (!metadata || !metadata.id) {
-                errors.push(
-                    `Could not find Order ID in file: ${slip.originalName}`,
-                );
-                continue;
-            }
+    // Slips are handled side by side and gathered back in slip order
+    const { results, errors } = await forEachOrder(
+        orderSlips,
+        options,
+        async (slip) => {
+            const outcome = { results: [], errors: [] };
+            try {
+                const metadata = await extractLabelData(slip.buffer);
 
-            const orderId = metadata.id;
-            console.log(`Slip ${slip.originalName} has Order ID: ${orderId}`);
+                if (!metadata || !metadata.id) {
+                    outcome.errors.push(
+                        `Could not find Order ID in file: ${slip.originalName}`,
+                    );
+                    return outcome;
+                }
 
-            // 1. Try Filename Match
-            let matchingLabel = shippingLabels.find((l) =>
-                l.originalName.includes(orderId),
-            );
+                const orderId = metadata.id;
+                console.log(
+                    `Slip ${slip.originalName} has Order ID: ${orderId}`,
+                );
 
-            // 2. Try Content Match (if not found by filename)
-            if (!matchingLabel) {
+                // Every label for this order: an order shipped in several boxes
+                // has one label file per package. Filename matches first, then
+                // labels whose content carries the Order ID.
+                const matchingLabels = shippingLabels.filter((l) =>
+                    l.originalName.includes(orderId),
+                );
                 for (const label of shippingLabels) {
                     const ids = labelContentCache.get(label.originalName);
-                    if (ids && ids.includes(orderId)) {
-                        matchingLabel = label;
+                    if (
+                        ids &&
+                        ids.includes(orderId) &&
+                        !matchingLabels.includes(label)
+                    ) {
+                        matchingLabels.push(label);
                         console.log(
                             `Found content match for ${orderId} in ${label.originalName}`,
                         );
-                        break;
                     }
                 }
-            }
-
-            if (matchingLabel) {
-                console.log(
-                    `Found matching label: ${matchingLabel.originalName}`,
-                );
 
-                // Skip re-processing if the output file already exists in outputDir
-                const predictedOutputPath = path.join(outputDir, orderId);
-                if (fs.existsSync(predictedOutputPath)) {
-                    console.log(`Skipping Order ${orderId} — already saved.`);
+                if (matchingLabels.length > 0) {
+                    console.log(
+                        `Found matching label(s): ${matchingLabels.map((l) => l.originalName).join(", ")}`,
+                    );
+                    report(options, "matched", {
+                        orderId,
+                        files: [...matchingLabels, slip].map(
+                            (f) => f.originalName,
+                        ),
+                    });
                     const maxFileDate = Math.max(
                         slip.lastModified || 0,
-                        matchingLabel.lastModified || 0,
+                        ...matchingLabels.map((l) => l.lastModified || 0),
+                    );
+
+                    // Skip orders already merged from these same files (by
+                    // content hash). A changed label or slip, e.g. a voided
+                    // label bought again, is merged into a new version.
+                    const sourceFiles = describeSources([
+                        ...matchingLabels,
+                        slip,
+                    ]);
+                    const previous = findProcessed(orderId);
+                    if (previous && hasSameSources(previous, sourceFiles)) {
+                        console.log(
+                            `Skipping Order ${orderId} — already saved.`,
+                        );
+                        // Still track source files so they get moved to old labels
+                        usedSourceFiles.add(slip.originalName);
+                        matchingLabels.forEach((l) =>
+                            usedSourceFiles.add(l.originalName),
+                        );
+                        outcome.results.push(
+                            alreadySavedResult(orderId, previous, maxFileDate),
+                        );
+                        return outcome;
+                    }
+
+                    const output = await runTask(
+                        "processLabels",
+                        [
+                            matchingLabels.map((l) => l.buffer),
+                            slip.buffer,
+                            {
+                                profile: options.cropProfile,
+                                platform: metadata.type,
+                                autoCrop: options.autoCrop,
+                                outputMode: options.outputMode,
+                                outputFormat: options.outputFormat,
+                                dpi: options.dpi,
+                            },
+                        ],
+                        taskOptions(options),
                     );
-                    // Still track source files so they get moved to old labels
+
+                    // Check if output file already exists
+                    const fileExists = await checkFileExists(output.filename);
+
                     usedSourceFiles.add(slip.originalName);
-                    usedSourceFiles.add(matchingLabel.originalName);
-                    results.push({
-                        filename: orderId,
-                        pdfBase64: null,
-                        metadata: { ...metadata, orderId },
+                    matchingLabels.forEach((l) =>
+                        usedSourceFiles.add(l.originalName),
+                    );
+
+                    outcome.errors.push(...output.errors);
+                    outcome.results.push({
+                        filename: output.filename,
+                        pdfBase64: Buffer.from(output.pdfBytes).toString(
+                            "base64",
+                        ),
+                        zpl: output.zpl,
+                        metadata: output.metadata,
                         fileDate: maxFileDate,
-                        downloaded: true,
-                        savedLocally: true,
+                        downloaded: fileExists,
+                        sourceFiles,
+                        updated: replacesOutput(previous, output),
                     });
-                    continue;
+                } else {
+                    console.log(`No match for Order ID ${orderId}`);
+                    outcome.errors.push(
+                        `No matching shipping label found for Order ID ${orderId} (from ${slip.originalName})`,
+                    );
                 }
+            } catch (e) {
+                if (isCancelled(e)) return outcome;
+                console.error(`Error processing slip ${slip.originalName}:`, e);
+                outcome.errors.push(
+                    `Error processing ${slip.originalName}: ${e.message}`,
+                );
+            }
+            return outcome;
+        },
+    );
+    return { results, errors, usedSourceFiles: [...usedSourceFiles] };
+}
 
-                const output = await processLabels(
-                    matchingLabel.buffer,
-                    slip.buffer,
+// Bulk label sheets: label cells cut by extractBulkLabels matched to the
+// per-order slips from extractBulkSlips. Cells and slips carry the uploaded
+// file they came from as `file`.
+// options: cropProfile, autoCrop, outputMode, outputFormat, dpi (as processFilePairs)
+async function processBulkLabels(labelCells, slips, options = {}) {
+    // Merged side by side in the worker pool, gathered back in slip order
+    return forEachOrder(slips, options, async (slip) => {
+        const outcome = { results: [], errors: [] };
+        const orderId = slip.id;
+        // Find matching label cell
+        const matchingLabel = labelCells.find((l) => l.id === orderId);
+
+        if (matchingLabel) {
+            console.log(`Match found for Order ${orderId}`);
+            report(options, "matched", {
+                orderId,
+                files: [
+                    matchingLabel.file.originalName,
+                    slip.file.originalName,
+                ],
+            });
+            // Use the Slip File date as the "File Date" since bulk extraction separates them
+            // Ideally we'd map back to the original PDF date
+            const fileDate =
+                slip.file.lastModified || matchingLabel.file.lastModified || 0;
+
+            // Skip orders already merged from the same label and slip (by
+            // content hash); a changed label or slip is merged into a new version
+            const sourceFiles = describeSources([matchingLabel, slip]);
+            const previous = findProcessed(orderId);
+            if (previous && hasSameSources(previous, sourceFiles)) {
+                console.log(`Skipping Order ${orderId} — already saved.`);
+                outcome.results.push(
+                    alreadySavedResult(orderId, previous, fileDate),
                 );
+                return outcome;
+            }
 
-                // Determine the max file timestamp between the two source files
-                const maxFileDate = Math.max(
-                    slip.lastModified || 0,
-                    matchingLabel.lastModified || 0,
+            try {
+                const output = await runTask(
+                    "processLabels",
+                    [
+                        matchingLabel.buffer,
+                        slip.buffer,
+                        {
+                            isBulk: true,
+                            position: matchingLabel.position || "top",
+                            labelText: matchingLabel.text,
+                            // A forced profile wins over the cell's own
+                            profile:
+                                options.cropProfile ||
+                                matchingLabel.cropProfile,
+                            autoCrop: options.autoCrop,
+                            outputMode: options.outputMode,
+                            outputFormat: options.outputFormat,
+                            dpi: options.dpi,
+                        },
+                    ],
+                    taskOptions(options),
                 );
 
                 // Check if output file already exists
                 const fileExists = await checkFileExists(output.filename);
 
-                usedSourceFiles.add(slip.originalName);
-                usedSourceFiles.add(matchingLabel.originalName);
-
-                results.push({
+                outcome.errors.push(...output.errors);
+                outcome.results.push({
                     filename: output.filename,
                     pdfBase64: Buffer.from(output.pdfBytes).toString("base64"),
+                    zpl: output.zpl,
                     metadata: output.metadata,
-                    fileDate: maxFileDate,
+                    fileDate: fileDate,
                     downloaded: fileExists,
+                    sourceFiles,
+                    updated: replacesOutput(previous, output),
                 });
-            } else {
-                console.log(`No match for Order ID ${orderId}`);
-                errors.push(
-                    `No matching shipping label found for Order ID ${orderId} (from ${slip.originalName})`,
-                );
+            } catch (e) {
+                if (!isCancelled(e)) {
+                    outcome.errors.push(
+                        `Error merging Order ${orderId}: ${e.message}`,
+                    );
+                }
             }
-        } catch (e) {
-            console.error(`Error processing slip ${slip.originalName}:`, e);
-            errors.push(`Error processing ${slip.originalName}: ${e.message}`);
+        } else {
+            outcome.errors.push(`No label found for Order ID ${orderId}`);
         }
-    }
-    return { results, errors, usedSourceFiles: [...usedSourceFiles] };
+        return outcome;
+    });
 }
 
-async function processTikTokPairs(fileObjects, sourceDir = null) {
+async function processTikTokPairs(fileObjects, sourceDir = null, options = {}) {
     const groups = new Map();
     const results = [];
     const errors = [];
@@ -488,78 +1076,113 @@ async function processTikTokPairs(fileObjects, sourceDir = null) {
         }
     }
 
-    for (const [orderId, files] of groups.entries()) {
-        if (files.length < 2) {
-            errors.push(
-                `Order ${orderId} has only ${files.length} file(s). Exactly 2 files are required per pair.`,
+    // Pairs are merged side by side in the worker pool, gathered back in order
+    const merged = await forEachOrder(
+        [...groups.entries()],
+        options,
+        async ([orderId, files]) => {
+            const outcome = { results: [], errors: [] };
+            if (files.length < 2) {
+                outcome.errors.push(
+                    `Order ${orderId} has only ${files.length} file(s). Exactly 2 files are required per pair.`,
+                );
+                return outcome;
+            }
+
+            // Check which file contains "Items" (packing slip); shipping label goes first
+            const fileInfos = await Promise.all(
+                files.map(async (f) => ({
+                    file: f,
+                    isItems: await hasItemsText(f.buffer),
+                })),
             );
-            continue;
-        }
 
-        // Check which file contains "Items" (packing slip); shipping label goes first
-        const fileInfos = await Promise.all(
-            files.map(async (f) => ({
-                file: f,
-                isItems: await hasItemsText(f.buffer),
-            })),
-        );
+            fileInfos.sort((a, b) => {
+                if (a.isItems !== b.isItems) return a.isItems ? 1 : -1;
+                return a.file.originalName.localeCompare(b.file.originalName);
+            });
 
-        fileInfos.sort((a, b) => {
-            if (a.isItems !== b.isItems) return a.isItems ? 1 : -1;
-            return a.file.originalName.localeCompare(b.file.originalName);
-        });
+            if (fileInfos.length > 2) {
+                outcome.errors.push(
+                    `Order ${orderId} has ${fileInfos.length} files. Processing the first 2 (label first, Items last).`,
+                );
+            }
 
-        if (fileInfos.length > 2) {
-            errors.push(
-                `Order ${orderId} has ${fileInfos.length} files. Processing the first 2 (label first, Items last).`,
+            const file1 = fileInfos[0].file;
+            const file2 = fileInfos[1].file;
+            report(options, "matched", {
+                orderId,
+                files: [file1.originalName, file2.originalName],
+            });
+            const maxFileDate = Math.max(
+                file1.lastModified || 0,
+                file2.lastModified || 0,
             );
-        }
 
-        const file1 = fileInfos[0].file;
-        const file2 = fileInfos[1].file;
-        const maxFileDate = Math.max(
-            file1.lastModified || 0,
-            file2.lastModified || 0,
-        );
+            // Skip orders already merged from these same files (by content
+            // hash); changed files are merged into a new version
+            const sourceFiles = describeSources([file1, file2]);
+            const previous = findProcessed(orderId);
+            if (previous && hasSameSources(previous, sourceFiles)) {
+                console.log(
+                    `Skipping TikTok Order ${orderId} — already saved.`,
+                );
+                // Still track source files so they get moved to old labels
+                usedSourceFiles.add(file1.originalName);
+                usedSourceFiles.add(file2.originalName);
+                outcome.results.push(
+                    alreadySavedResult(orderId, previous, maxFileDate),
+                );
+                return outcome;
+            }
+
+            let output;
+            try {
+                output = await runTask(
+                    "processTikTokPair",
+                    [
+                        file1.buffer,
+                        file2.buffer,
+                        orderId,
+                        {
+                            outputMode: options.outputMode,
+                            outputFormat: options.outputFormat,
+                            dpi: options.dpi,
+                        },
+                    ],
+                    taskOptions(options),
+                );
+            } catch (e) {
+                if (!isCancelled(e)) {
+                    outcome.errors.push(
+                        `Error merging Order ${orderId}: ${e.message}`,
+                    );
+                }
+                return outcome;
+            }
+            const fileExists = sourceDir
+                ? await checkFileExistsInDir(output.filename, sourceDir)
+                : false;
 
-        // Skip re-processing if already saved to outputDir
-        const predictedTikTokPath = path.join(outputDir, orderId);
-        if (fs.existsSync(predictedTikTokPath)) {
-            console.log(`Skipping TikTok Order ${orderId} — already saved.`);
-            // Still track source files so they get moved to old labels
             usedSourceFiles.add(file1.originalName);
             usedSourceFiles.add(file2.originalName);
-            results.push({
-                filename: orderId,
-                pdfBase64: null,
-                metadata: { id: orderId, type: "tiktok", orderId },
+
+            outcome.errors.push(...output.errors);
+            outcome.results.push({
+                filename: output.filename,
+                pdfBase64: Buffer.from(output.pdfBytes).toString("base64"),
+                zpl: output.zpl,
+                metadata: output.metadata,
                 fileDate: maxFileDate,
-                downloaded: true,
-                savedLocally: true,
+                downloaded: fileExists,
+                sourceFiles,
+                updated: replacesOutput(previous, output),
             });
-            continue;
-        }
-
-        const output = await processTikTokPair(
-            file1.buffer,
-            file2.buffer,
-            orderId,
-        );
-        const fileExists = sourceDir
-            ? await checkFileExistsInDir(output.filename, sourceDir)
-            : false;
-
-        usedSourceFiles.add(file1.originalName);
-        usedSourceFiles.add(file2.originalName);
-
-        results.push({
-            filename: output.filename,
-            pdfBase64: Buffer.from(output.pdfBytes).toString("base64"),
-            metadata: output.metadata,
-            fileDate: maxFileDate,
-            downloaded: fileExists,
-        });
-    }
+            return outcome;
+        },
+    );
+    results.push(...merged.results);
+    errors.push(...merged.errors);
 
     results.sort((a, b) => {
         const timeA = a.fileDate || 0;
@@ -570,7 +1193,7 @@ async function processTikTokPairs(fileObjects, sourceDir = null) {
     return { results, errors, usedSourceFiles: [...usedSourceFiles] };
 }
 
-async function processTikTokBulk(fileObjects) {
+async function processTikTokBulk(fileObjects, options = {}) {
     const results = [];
     const errors = [];
 
@@ -584,6 +1207,12 @@ async function processTikTokBulk(fileObjects) {
 
     const slipsFiles = classified.filter((c) => c.isItems).map((c) => c.file);
     const labelFiles = classified.filter((c) => !c.isItems).map((c) => c.file);
+    classified.forEach((c) =>
+        report(options, "classified", {
+            file: c.file.originalName,
+            kind: c.isItems ? "tiktok-slips" : "tiktok-label",
+        }),
+    );
 
     if (slipsFiles.length === 0) {
         return {
@@ -637,7 +1266,8 @@ async function processTikTokBulk(fileObjects) {
     }
 
     // 4. Match each slip to its shipping label and merge (label first, slip second)
-    for (const slip of extractedSlips) {
+    const merged = await forEachOrder(extractedSlips, options, async (slip) => {
+        const outcome = { results: [], errors: [] };
         const orderId = slip.id;
 
         // Filename match first
@@ -657,40 +1287,215 @@ async function processTikTokBulk(fileObjects) {
         }
 
         if (!matchedLabel) {
-            errors.push(
+            outcome.errors.push(
                 `No matching shipping label found for Order ${orderId}`,
             );
-            continue;
+            return outcome;
+        }
+        report(options, "matched", {
+            orderId,
+            files: [matchedLabel.originalName, bulkSlipsFile.originalName],
+        });
+        const fileDate = Math.max(
+            matchedLabel.lastModified || 0,
+            bulkSlipsFile.lastModified || 0,
+        );
+
+        // Skip orders already merged from the same label and slip pages (by
+        // content hash)
+        const sourceFiles = describeSources([
+            matchedLabel,
+            { file: bulkSlipsFile, sourceHash: slip.sourceHash },
+        ]);
+        const previous = findProcessed(orderId);
+        if (previous && hasSameSources(previous, sourceFiles)) {
+            console.log(`Skipping TikTok Order ${orderId} — already saved.`);
+            outcome.results.push(
+                alreadySavedResult(orderId, previous, fileDate),
+            );
+            return outcome;
         }
 
         try {
-            const output = await processTikTokPair(
-                matchedLabel.buffer,
-                slip.buffer,
-                orderId,
+            const output = await runTask(
+                "processTikTokPair",
+                [
+                    matchedLabel.buffer,
+                    slip.buffer,
+                    orderId,
+                    {
+                        outputMode: options.outputMode,
+                        outputFormat: options.outputFormat,
+                        dpi: options.dpi,
+                    },
+                ],
+                taskOptions(options),
             );
 
-            results.push({
+            outcome.errors.push(...output.errors);
+            outcome.results.push({
                 filename: output.filename,
                 pdfBase64: Buffer.from(output.pdfBytes).toString("base64"),
+                zpl: output.zpl,
                 metadata: output.metadata,
-                fileDate: Math.max(
-                    matchedLabel.lastModified || 0,
-                    bulkSlipsFile.lastModified || 0,
-                ),
+                fileDate,
                 downloaded: false,
+                sourceFiles,
+                updated: replacesOutput(previous, output),
             });
         } catch (e) {
-            errors.push(`Error merging Order ${orderId}: ${e.message}`);
+            if (!isCancelled(e)) {
+                outcome.errors.push(
+                    `Error merging Order ${orderId}: ${e.message}`,
+                );
+            }
         }
-    }
+        return outcome;
+    });
+    results.push(...merged.results);
+    errors.push(...merged.errors);
 
     results.sort((a, b) => (b.fileDate || 0) - (a.fileDate || 0));
     return { results, errors };
 }
 
+// Pipeline each detected upload kind goes to (see src/detect.js); the names
+// follow the routes: "pairs" and "bulk" are /merge without and with isBulk
+const UPLOAD_PIPELINES = {
+    label: "pairs",
+    slip: "pairs",
+    "bulk-labels": "bulk",
+    "bulk-slips": "bulk",
+    "tiktok-label": "tiktok-pairs",
+    "tiktok-slip": "tiktok-pairs",
+    "tiktok-bulk-slips": "tiktok-bulk",
+    "shopify-export": "shopify-bulk",
+    unknown: null,
+};
+
+// Runs classified uploads through their pipelines and sets each entry's
+// `pipeline`. Slips for orders found on a label sheet go with the sheet, the
+// rest are paired with single labels; with a TikTok bulk slips file every
+// TikTok file goes to the bulk pipeline.
+// options: as processFilePairs, plus labelLayout for label sheets
+async function processDetectedUploads(detected, options = {}) {
+    const results = [];
+    const errors = [];
+    const collect = (outcome) => {
+        results.push(...outcome.results);
+        errors.push(...outcome.errors);
+    };
+    const ofKind = (...kinds) => detected.filter((d) => kinds.includes(d.kind));
+    detected.forEach((d) => {
+        d.pipeline = UPLOAD_PIPELINES[d.kind];
+        report(options, "classified", {
+            file: d.file.originalName,
+            kind: d.kind,
+        });
+    });
+
+    // --- Etsy-style labels and slips (/merge) ---
+    const labelCells = [];
+    for (const d of ofKind("bulk-labels")) {
+        const cells = await extractBulkLabels(d.file.buffer, {
+            layout: options.labelLayout,
+        });
+        if (cells.length === 0) {
+            errors.push(
+                `No labels with Order IDs could be cut from ${d.file.originalName}.`,
+            );
+        }
+        labelCells.push(...cells.map((cell) => ({ ...cell, file: d.file })));
+    }
+    const sheetIds = new Set(labelCells.map((cell) => cell.id));
+    const bulkSlips = [];
+    const pairFiles = ofKind("label").map((d) => ({
+        ...d.file,
+        role: "label",
+    }));
+    for (const d of ofKind("slip", "bulk-slips")) {
+        const slips =
+            d.kind === "bulk-slips"
+                ? await extractBulkSlips(d.file.buffer, d.file.originalName)
+                : [{ id: d.orderIds[0], buffer: d.file.buffer }];
+        for (const slip of slips) {
+            if (sheetIds.has(slip.id)) {
+                bulkSlips.push({ ...slip, file: d.file });
+                d.pipeline = "bulk";
+            } else {
+                pairFiles.push({
+                    originalName: slip.originalName || d.file.originalName,
+                    buffer: slip.buffer,
+                    lastModified: d.file.lastModified,
+                    role: "slip",
+                });
+                d.pipeline = "pairs";
+            }
+        }
+    }
+    if (labelCells.length > 0) {
+        collect(await processBulkLabels(labelCells, bulkSlips, options));
+    }
+    if (pairFiles.some((f) => f.role === "slip")) {
+        collect(await processFilePairs(pairFiles, options));
+    } else if (pairFiles.length > 0) {
+        errors.push(
+            `No packing slips found for ${pairFiles.length} label file(s): ${pairFiles.map((f) => f.originalName).join(", ")}`,
+        );
+    }
+
+    // --- TikTok (/merge-tiktok-pairs, /merge-tiktok-bulk) ---
+    const tiktokBulk = ofKind("tiktok-bulk-slips");
+    const tiktokFiles = ofKind("tiktok-label", "tiktok-slip");
+    if (tiktokBulk.length > 0) {
+        // The bulk slips file goes first; processTikTokBulk uses the first one
+        tiktokFiles.forEach((d) => {
+            d.pipeline = "tiktok-bulk";
+        });
+        collect(
+            await processTikTokBulk(
+                [...tiktokBulk, ...tiktokFiles].map((d) => d.file),
+                options,
+            ),
+        );
+    } else if (tiktokFiles.length > 0) {
+        collect(
+            await processTikTokPairs(
+                tiktokFiles.map((d) => d.file),
+                null,
+                options,
+            ),
+        );
+    }
+
+    // --- Shopify (/merge-shopify-bulk) ---
+    for (const d of ofKind("shopify-export")) {
+        const outcome = await runTask(
+            "processShopifyBulk",
+            [
+                d.file.buffer,
+                {
+                    outputMode: options.outputMode,
+                    outputFormat: options.outputFormat,
+                    dpi: options.dpi,
+                },
+            ],
+            taskOptions(options),
+        );
+        outcome.results = skipAlreadySaved(outcome.results, d.file);
+        collect(outcome);
+    }
+
+    for (const d of ofKind("unknown")) {
+        errors.push(
+            `Could not tell what ${d.file.originalName} is (no label, packing slip or export recognized). It was skipped.`,
+        );
+    }
+    return { results, errors };
+}
+
 // Endpoint to scan default folder
-app.get("/scan-default", async (req, res) => {
+async function handleScanDefault(req, res) {
     try {
         if (!fs.existsSync(inputDir)) {
             // Return specific flag indicating config is needed
@@ -726,44 +1531,37 @@ app.get("/scan-default", async (req, res) => {
             });
         }
 
-        const { results, errors } = await processFilePairs(fileObjects);
-
-        // --- SORTING LOGIC --- (Duplicate of /merge logic to ensure consistency)
-        results.sort((a, b) => {
-            // 1. Parse Metadata Date
-            const parseDate = (dateStr) => {
-                if (!dateStr || dateStr === "-") return 0;
-                const d = new Date(dateStr);
-                return isNaN(d.getTime()) ? 0 : d.getTime();
-            };
-
-            const dateA = parseDate(a.metadata.date);
-            const dateB = parseDate(b.metadata.date);
-
-            if (dateA !== dateB) {
-                return dateB - dateA;
-            }
-
-            // 2. Secondary Sort: File Download Date
-            const timeA = a.fileDate || 0;
-            const timeB = b.fileDate || 0;
-            return timeB - timeA;
+        const { results, errors } = await processFilePairs(fileObjects, {
+            cropProfile: req.query.cropProfile,
+            autoCrop: parseAutoCrop(req.query.autoCrop),
+            outputMode: parseOutputMode(req.query.outputMode),
+            outputFormat: parseOutputFormat(req.query.outputFormat),
+            dpi: parseDpi(req.query.dpi),
+            job: req.job,
         });
 
+        sortResults(results);
+
+        const warnings = await checkDuplicates(results);
         await saveResultsToOutputDir(results);
+        const combined = await buildCombinedPdf(results, req.query);
         res.json({
             success: true,
             results,
             errors,
+            warnings,
             scannedDir: inputDir,
+            ...(combined && { combined }),
         });
     } catch (err) {
         console.error("Scan Error:", err);
         res.status(500).send("Scan Error: " + err.message);
     }
-});
+}
 
-app.get("/scan-tiktok-default", async (req, res) => {
+app.get("/scan-default", jobRoute("scan-default", handleScanDefault));
+
+async function handleScanTikTokDefault(req, res) {
     try {
         if (!fs.existsSync(tiktokInputDir)) {
             return res.json({
@@ -801,20 +1599,35 @@ app.get("/scan-tiktok-default", async (req, res) => {
         const { results, errors } = await processTikTokPairs(
             fileObjects,
             tiktokInputDir,
+            {
+                outputMode: parseOutputMode(req.query.outputMode),
+                outputFormat: parseOutputFormat(req.query.outputFormat),
+                dpi: parseDpi(req.query.dpi),
+                job: req.job,
+            },
         );
 
+        const warnings = await checkDuplicates(results);
         await saveResultsToOutputDir(results);
+        const combined = await buildCombinedPdf(results, req.query);
         res.json({
             success: true,
             results,
             errors,
+            warnings,
             scannedDir: tiktokInputDir,
+            ...(combined && { combined }),
         });
     } catch (err) {
         console.error("TikTok scan error:", err);
         res.status(500).send("Scan Error: " + err.message);
     }
-});
+}
+
+app.get(
+    "/scan-tiktok-default",
+    jobRoute("scan-tiktok-default", handleScanTikTokDefault),
+);
 
 // Move source PDFs to 'old labels' subfolder.
 // ?auto=1 → only files older than 2 days. Without → all PDFs.
@@ -940,7 +1753,7 @@ app.post("/analyze", upload.single("file"), async (req, res) => {
     }
 });
 
-app.post("/merge-tiktok-pairs", upload.any(), async (req, res) => {
+async function handleMergeTikTokPairs(req, res) {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).send("No files uploaded.");
@@ -956,7 +1769,12 @@ app.post("/merge-tiktok-pairs", upload.any(), async (req, res) => {
             lastModified: fileDates[f.originalname] || 0,
         }));
 
-        const { results, errors } = await processTikTokPairs(files);
+        const { results, errors } = await processTikTokPairs(files, null, {
+            outputMode: parseOutputMode(req.body.outputMode),
+            outputFormat: parseOutputFormat(req.body.outputFormat),
+            dpi: parseDpi(req.body.dpi),
+            job: req.job,
+        });
 
         if (results.length === 0 && errors.length > 0) {
             return res
@@ -964,19 +1782,29 @@ app.post("/merge-tiktok-pairs", upload.any(), async (req, res) => {
                 .send("Processing failed:\n" + errors.join("\n"));
         }
 
+        const warnings = await checkDuplicates(results);
         await saveResultsToOutputDir(results);
+        const combined = await buildCombinedPdf(results, req.body);
         res.json({
             success: true,
             results,
             errors,
+            warnings,
+            ...(combined && { combined }),
         });
     } catch (err) {
         console.error("TikTok merge error:", err);
         res.status(500).send("Server Error: " + err.message);
     }
-});
+}
 
-app.post("/merge-tiktok-bulk", upload.any(), async (req, res) => {
+app.post(
+    "/merge-tiktok-pairs",
+    upload.any(),
+    jobRoute("merge-tiktok-pairs", handleMergeTikTokPairs),
+);
+
+async function handleMergeTikTokBulk(req, res) {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).send("No files uploaded.");
@@ -992,7 +1820,12 @@ app.post("/merge-tiktok-bulk", upload.any(), async (req, res) => {
             lastModified: fileDates[f.originalname] || 0,
         }));
 
-        const { results, errors } = await processTikTokBulk(files);
+        const { results, errors } = await processTikTokBulk(files, {
+            outputMode: parseOutputMode(req.body.outputMode),
+            outputFormat: parseOutputFormat(req.body.outputFormat),
+            dpi: parseDpi(req.body.dpi),
+            job: req.job,
+        });
 
         if (results.length === 0 && errors.length > 0) {
             return res
@@ -1000,21 +1833,61 @@ app.post("/merge-tiktok-bulk", upload.any(), async (req, res) => {
                 .send("Processing failed:\n" + errors.join("\n"));
         }
 
+        const warnings = await checkDuplicates(results);
         await saveResultsToOutputDir(results);
-        res.json({ success: true, results, errors });
+        const combined = await buildCombinedPdf(results, req.body);
+        res.json({
+            success: true,
+            results,
+            errors,
+            warnings,
+            ...(combined && { combined }),
+        });
     } catch (err) {
         console.error("TikTok bulk error:", err);
         res.status(500).send("Server Error: " + err.message);
     }
-});
+}
 
-app.post("/merge-shopify-bulk", upload.single("file"), async (req, res) => {
+app.post(
+    "/merge-tiktok-bulk",
+    upload.any(),
+    jobRoute("merge-tiktok-bulk", handleMergeTikTokBulk),
+);
+
+// The export is merged in one task: a cancel drops it only if it hasn't
+// started, and its orders arrive together with the final response
+async function handleMergeShopifyBulk(req, res) {
     try {
         if (!req.file) {
             return res.status(400).send("No file uploaded.");
         }
 
-        const { results, errors } = await processShopifyBulk(req.file.buffer);
+        let merged;
+        try {
+            merged = await runTask(
+                "processShopifyBulk",
+                [
+                    req.file.buffer,
+                    {
+                        outputMode: parseOutputMode(req.body.outputMode),
+                        outputFormat: parseOutputFormat(req.body.outputFormat),
+                        dpi: parseDpi(req.body.dpi),
+                    },
+                ],
+                taskOptions({ job: req.job }),
+            );
+        } catch (err) {
+            if (!isCancelled(err)) throw err;
+            merged = {
+                results: [],
+                errors: ["Cancelled: the export was not processed."],
+            };
+        }
+        const results = skipAlreadySaved(merged.results, {
+            originalName: req.file.originalname,
+        });
+        const errors = merged.errors;
 
         if (results.length === 0 && errors.length > 0) {
             return res
@@ -1022,22 +1895,91 @@ app.post("/merge-shopify-bulk", upload.single("file"), async (req, res) => {
                 .send("Processing failed:\n" + errors.join("\n"));
         }
 
+        const warnings = await checkDuplicates(results);
         await saveResultsToOutputDir(results);
-        res.json({ success: true, results, errors });
+        const combined = await buildCombinedPdf(results, req.body);
+        res.json({
+            success: true,
+            results,
+            errors,
+            warnings,
+            ...(combined && { combined }),
+        });
     } catch (err) {
         console.error("Shopify bulk error:", err);
         res.status(500).send("Server Error: " + err.message);
     }
+}
+
+app.post(
+    "/merge-shopify-bulk",
+    upload.single("file"),
+    jobRoute("merge-shopify-bulk", handleMergeShopifyBulk),
+);
+
+// Pick list for a processed batch: body is { results } as returned by the
+// scan/merge routes (only metadata is read, so pdfBase64 can be left out)
+app.post("/pick-list", express.json({ limit: "50mb" }), async (req, res) => {
+    try {
+        const results = req.body && req.body.results;
+        if (!Array.isArray(results) || results.length === 0) {
+            return res.status(400).send("No results provided.");
+        }
+
+        const pdfBytes = await buildPickListPdf(results);
+        const filename = `pick-list-${batchStamp()}.pdf`;
+        const savedLocally = await saveBatchFile(filename, pdfBytes);
+
+        res.json({
+            success: true,
+            filename,
+            pdfBase64: Buffer.from(pdfBytes).toString("base64"),
+            savedLocally,
+        });
+    } catch (err) {
+        console.error("Pick list error:", err);
+        res.status(500).send("Server Error: " + err.message);
+    }
+});
+
+// Combined batch PDF from results already in hand, in the order sent (used by
+// drag & drop pair mode, which merges one pair per request): body is
+// { results, separatorPages }
+app.post("/batch-pdf", express.json({ limit: "200mb" }), async (req, res) => {
+    try {
+        const results = req.body && req.body.results;
+        if (!Array.isArray(results) || results.length === 0) {
+            return res.status(400).send("No results provided.");
+        }
+
+        const combined = await buildCombinedPdf(results, {
+            combinedPdf: true,
+            separatorPages: req.body.separatorPages,
+        });
+        if (!combined) {
+            return res.status(400).send("None of the results has a PDF.");
+        }
+        res.json({ success: true, combined });
+    } catch (err) {
+        console.error("Batch PDF error:", err);
+        res.status(500).send("Server Error: " + err.message);
+    }
 });
 
 // API Endpoint to handle file upload and processing
-app.post("/merge", upload.any(), async (req, res) => {
+async function handleMerge(req, res) {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).send("No files uploaded.");
         }
 
         const isBulk = req.body.isBulk === "true";
+        const cropProfile = req.body.cropProfile || undefined;
+        const autoCrop = parseAutoCrop(req.body.autoCrop);
+        const outputMode = parseOutputMode(req.body.outputMode);
+        const outputFormat = parseOutputFormat(req.body.outputFormat);
+        const dpi = parseDpi(req.body.dpi);
+        const labelLayout = parseLabelLayout(req.body.labelLayout);
         const fileDates = req.body.fileDates
             ? JSON.parse(req.body.fileDates)
             : {};
@@ -1073,7 +2015,9 @@ app.post("/merge", upload.any(), async (req, res) => {
 
             // Try File 0 as Label File
             console.log(`Checking ${files[0].originalName} as Label File...`);
-            let candidates = await extractBulkLabels(files[0].buffer);
+            let candidates = await extractBulkLabels(files[0].buffer, {
+                layout: labelLayout,
+            });
             if (candidates.length > 0) {
                 labelFile = files[0];
                 slipFile = files[1];
@@ -1083,7 +2027,9 @@ app.post("/merge", upload.any(), async (req, res) => {
                 console.log(
                     `Checking ${files[1].originalName} as Label File...`,
                 );
-                candidates = await extractBulkLabels(files[1].buffer);
+                candidates = await extractBulkLabels(files[1].buffer, {
+                    layout: labelLayout,
+                });
                 if (candidates.length > 0) {
                     labelFile = files[1];
                     slipFile = files[0];
@@ -1095,7 +2041,7 @@ app.post("/merge", upload.any(), async (req, res) => {
                 return res
                     .status(400)
                     .send(
-                        "Could not identify a Bulk Label file (2 labels/page with Order IDs).",
+                        "Could not identify a Bulk Label file (label sheets with Order IDs).",
                     );
             }
             console.log(
@@ -1111,84 +2057,35 @@ app.post("/merge", upload.any(), async (req, res) => {
             console.log(`Found ${extractedSlips.length} slips.`);
 
             // 3. Match and Process
-            for (const slip of extractedSlips) {
-                const orderId = slip.id;
-                // Find matching label (Top or Bottom)
-                const matchingLabel = extractedLabels.find(
-                    (l) => l.id === orderId,
-                );
-
-                if (matchingLabel) {
-                    console.log(`Match found for Order ${orderId}`);
-                    try {
-                        const output = await processLabels(
-                            matchingLabel.buffer,
-                            slip.buffer,
-                            {
-                                isBulk: true,
-                                position: matchingLabel.position || "top",
-                            },
-                        );
-
-                        // Use the Slip File date as the "File Date" since bulk extraction separates them
-                        // Ideally we'd map back to the original PDF date
-                        const fileDate =
-                            slipFile.lastModified ||
-                            labelFile.lastModified ||
-                            0;
-
-                        // Check if output file already exists
-                        const fileExists = await checkFileExists(
-                            output.filename,
-                        );
-
-                        results.push({
-                            filename: output.filename,
-                            pdfBase64: Buffer.from(output.pdfBytes).toString(
-                                "base64",
-                            ),
-                            metadata: output.metadata,
-                            fileDate: fileDate,
-                            downloaded: fileExists,
-                        });
-                    } catch (e) {
-                        errors.push(
-                            `Error merging Order ${orderId}: ${e.message}`,
-                        );
-                    }
-                } else {
-                    errors.push(`No label found for Order ID ${orderId}`);
-                }
-            }
+            const outcome = await processBulkLabels(
+                extractedLabels.map((l) => ({ ...l, file: labelFile })),
+                extractedSlips.map((slip) => ({ ...slip, file: slipFile })),
+                {
+                    cropProfile,
+                    autoCrop,
+                    outputMode,
+                    outputFormat,
+                    dpi,
+                    job: req.job,
+                },
+            );
+            results = outcome.results;
+            errors = outcome.errors;
         } else {
             // EXISTING LOGIC
-            const outcome = await processFilePairs(files);
+            const outcome = await processFilePairs(files, {
+                cropProfile,
+                autoCrop,
+                outputMode,
+                outputFormat,
+                dpi,
+                job: req.job,
+            });
             results = outcome.results;
             errors = outcome.errors;
         }
 
-        // --- SORTING LOGIC ---
-        // Sort by "Date Ordered" (Metadata) THEN by "Download Date" (File Timestamp)
-        results.sort((a, b) => {
-            // 1. Parse Metadata Date (MM/DD/YYYY)
-            const parseDate = (dateStr) => {
-                if (!dateStr || dateStr === "-") return 0;
-                const d = new Date(dateStr);
-                return isNaN(d.getTime()) ? 0 : d.getTime();
-            };
-
-            const dateA = parseDate(a.metadata.date);
-            const dateB = parseDate(b.metadata.date);
-
-            if (dateA !== dateB) {
-                return dateB - dateA; // Descending (Latest first)
-            }
-
-            // 2. Secondary Sort: File Download Date
-            const timeA = a.fileDate || 0;
-            const timeB = b.fileDate || 0;
-            return timeB - timeA; // Descending
-        });
+        sortResults(results);
 
         if (results.length === 0 && errors.length > 0) {
             return res
@@ -1196,16 +2093,202 @@ app.post("/merge", upload.any(), async (req, res) => {
                 .send("Processing failed:\n" + errors.join("\n"));
         }
 
+        const warnings = await checkDuplicates(results);
         await saveResultsToOutputDir(results);
+        const combined = await buildCombinedPdf(results, req.body);
         res.json({
             success: true,
             results: results,
             errors: errors,
+            warnings,
+            ...(combined && { combined }),
         });
     } catch (err) {
         console.error("Server Error:", err);
         res.status(500).send("Server Error: " + err.message);
     }
+}
+
+app.post("/merge", upload.any(), jobRoute("merge", handleMerge));
+
+// Single upload route for every marketplace: classifies each file, sends
+// each group to the pipeline its tab would use and returns one result set
+// with `detected` (filename, kind, orderIds, pipeline per file)
+async function handleProcess(req, res) {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).send("No files uploaded.");
+        }
+
+        const fileDates = req.body.fileDates
+            ? JSON.parse(req.body.fileDates)
+            : {};
+        const files = req.files.map((f) => ({
+            originalName: f.originalname,
+            buffer: f.buffer,
+            lastModified: fileDates[f.originalname] || 0,
+        }));
+
+        const detected = await classifyUploads(files);
+        console.log(
+            `Detected: ${detected.map((d) => `${d.file.originalName} = ${d.kind}`).join(", ")}`,
+        );
+        const { results, errors } = await processDetectedUploads(detected, {
+            cropProfile: req.body.cropProfile || undefined,
+            autoCrop: parseAutoCrop(req.body.autoCrop),
+            outputMode: parseOutputMode(req.body.outputMode),
+            outputFormat: parseOutputFormat(req.body.outputFormat),
+            dpi: parseDpi(req.body.dpi),
+            labelLayout: parseLabelLayout(req.body.labelLayout),
+            job: req.job,
+        });
+        const detectedFiles = detected.map((d) => ({
+            filename: d.file.originalName,
+            kind: d.kind,
+            orderIds: d.orderIds,
+            pipeline: d.pipeline,
+        }));
+
+        sortResults(results);
+
+        if (results.length === 0 && errors.length > 0) {
+            const summary = detectedFiles.map(
+                (d) => `${d.filename}: ${d.kind}`,
+            );
+            return res
+                .status(400)
+                .send(
+                    "Processing failed:\n" +
+                        errors.join("\n") +
+                        "\n\nDetected:\n" +
+                        summary.join("\n"),
+                );
+        }
+
+        const warnings = await checkDuplicates(results);
+        await saveResultsToOutputDir(results);
+        const combined = await buildCombinedPdf(results, req.body);
+        res.json({
+            success: true,
+            results,
+            errors,
+            warnings,
+            detected: detectedFiles,
+            ...(combined && { combined }),
+        });
+    } catch (err) {
+        console.error("Process error:", err);
+        res.status(500).send("Server Error: " + err.message);
+    }
+}
+
+app.post("/process", upload.any(), jobRoute("process", handleProcess));
+
+// --- JOBS ---
+// Progress of batches started with job=true (see jobRoute and src/jobs.js)
+app.get("/jobs/:id/events", (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    streamJob(job, req, res);
+});
+
+app.post("/jobs/:id/cancel", (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    const cancelled = cancelJob(job);
+    if (cancelled) console.log(`Cancelled job ${job.id} (${job.kind})`);
+    res.json({ success: true, cancelled, status: job.status });
+});
+
+// Processed-order ledger (src/ledger.js), newest first. Filters: orderId,
+// type, shop, since/until (dates, on processedAt) and limit
+app.get("/ledger", (req, res) => {
+    for (const key of ["since", "until"]) {
+        if (req.query[key] && isNaN(new Date(req.query[key]).getTime())) {
+            return res
+                .status(400)
+                .json({ success: false, error: `Invalid ${key} date` });
+        }
+    }
+    const limit = parseInt(req.query.limit, 10);
+    const entries = queryLedger({
+        orderId: req.query.orderId,
+        type: req.query.type,
+        shop: req.query.shop,
+        since: req.query.since,
+        until: req.query.until,
+        limit: limit > 0 ? limit : undefined,
+    });
+    res.json({ success: true, entries });
+});
+
+// Orders whose labels were downloaded from a results table: { orderIds }.
+// { downloads: { <orderId>: <ISO time> } } carries over the records a browser
+// kept before the ledger, with their own times.
+app.post(
+    "/ledger/downloaded",
+    express.json({ limit: "1mb" }),
+    async (req, res) => {
+        if (req.body && req.body.downloads) {
+            const entries = Object.entries(req.body.downloads);
+            if (
+                entries.length === 0 ||
+                !entries.every(([id, at]) => id && !isNaN(Date.parse(at)))
+            ) {
+                return res.status(400).json({
+                    success: false,
+                    error: "downloads must map order IDs to dates",
+                });
+            }
+            const downloads = {};
+            for (const [orderId, at] of entries) {
+                const iso = new Date(at).toISOString();
+                Object.assign(
+                    downloads,
+                    await recordDownloaded([orderId], iso),
+                );
+            }
+            return res.json({ success: true, downloads });
+        }
+        const orderIds = req.body && req.body.orderIds;
+        if (
+            !Array.isArray(orderIds) ||
+            orderIds.length === 0 ||
+            !orderIds.every((id) => typeof id === "string" && id)
+        ) {
+            return res
+                .status(400)
+                .json({
+                    success: false,
+                    error: "orderIds must list order IDs",
+                });
+        }
+        const downloads = await recordDownloaded(orderIds);
+        res.json({ success: true, downloads });
+    },
+);
+
+// When each order was last downloaded: ?orderIds=1,2 (every order when missing)
+app.get("/ledger/downloaded", (req, res) => {
+    const orderIds = req.query.orderIds
+        ? String(req.query.orderIds).split(",").filter(Boolean)
+        : undefined;
+    res.json({ success: true, downloads: lastDownloads(orderIds) });
+});
+
+// Every time one order was processed, newest first
+app.get("/ledger/:orderId", (req, res) => {
+    const entries = queryLedger({ orderId: req.params.orderId });
+    if (entries.length === 0) {
+        return res
+            .status(404)
+            .json({ success: false, error: "Order not in ledger" });
+    }
+    res.json({ success: true, orderId: req.params.orderId, entries });
 });
 
 if (require.main === module) {
@@ -0,0 +1,177 @@
+// Document analysis shared by every classifier and extractor: each PDF is
+// parsed once, keyed by a hash of its bytes, and the text, order IDs and slip
+// markers are read from the cached result.
+
+const crypto = require("crypto");
+const { loadPdfJsDocument } = require("./pdfjs");
+const { findOrderIds, getParsers } = require("./parsers");
+
+// Scans hold a few hundred files; beyond that the oldest entries are dropped
+const MAX_CACHE_ENTRIES = 500;
+const cache = new Map();
+
+function contentHash(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Same layout as pdf-parse's default page renderer: items on one baseline are
+// concatenated, a new baseline starts a new line
+function joinItems(items) {
+    let lastY;
+    let text = "";
+    for (const item of items) {
+        if (lastY == item.y || !lastY) text += item.str;
+        else text += "\n" + item.str;
+        lastY = item.y;
+    }
+    return text;
+}
+
+// Text runs with their baseline origin in PDF user space (y grows upwards)
+async function readPageItems(page) {
+    const content = await page.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+    });
+    return content.items.map((item) => ({
+        str: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+    }));
+}
+
+async function analyze(buffer, hash) {
+    const analysis = {
+        hash,
+        pageCount: 0,
+        pages: [],
+        pageItems: [],
+        pageViews: [],
+        text: "",
+        orderIds: [],
+        slipTypes: [],
+        error: null,
+    };
+
+    let doc;
+    try {
+        doc = await loadPdfJsDocument(buffer);
+        analysis.pageCount = doc.numPages;
+        for (let i = 1; i <= doc.numPages; i++) {
+            // An unreadable page counts as empty, as with pdf-parse
+            let items = [];
+            let view = null;
+            try {
+                const page = await doc.getPage(i);
+                view = page.view;
+                items = await readPageItems(page);
+            } catch (e) {
+                items = [];
+            }
+            analysis.pageItems.push(items);
+            analysis.pageViews.push(view);
+            analysis.pages.push(joinItems(items));
+        }
+    } catch (e) {
+        console.warn("Could not read PDF text:", e.message);
+        analysis.error = e.message;
+        return analysis;
+    } finally {
+        if (doc) doc.destroy();
+    }
+
+    // pdf-parse's full-text format, which the marketplace parsers were written against
+    analysis.text = analysis.pages.map((page) => `\n\n${page}`).join("");
+    analysis.orderIds = findOrderIds(analysis.text);
+    analysis.slipTypes = getParsers()
+        .filter(
+            (p) => typeof p.isSlip === "function" && p.isSlip(analysis.text),
+        )
+        .map((p) => p.type);
+    return analysis;
+}
+
+/**
+ * Parses a PDF once and caches the result by content hash, so the same file
+ * seen by isSlip, extractLabelData, getIdsFromPdf, ... is only read once.
+ * Never rejects: unreadable files come back with empty text and `error` set.
+ * @param {Buffer|Uint8Array} buffer
+ * `pageItems` keeps each page's text runs with positions and `pageViews` its
+ * [x1, y1, x2, y2] view box, for callers that need to know where text sits.
+ * @returns {Promise<{hash: string, pageCount: number, pages: string[], pageItems: Array<Array<{str: string, x: number, y: number}>>, pageViews: Array<number[]|null>, text: string, orderIds: string[], slipTypes: string[], error: string|null}>}
+ */
+function analyzeDocument(buffer) {
+    const hash = contentHash(buffer);
+    let entry = cache.get(hash);
+    if (entry) {
+        // Re-insert so the most recently used entries are evicted last
+        cache.delete(hash);
+    } else {
+        entry = analyze(buffer, hash);
+    }
+    cache.set(hash, entry);
+    if (cache.size > MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+    return entry;
+}
+
+/**
+ * Text of the runs whose baseline origin lies inside a box on one page, laid
+ * out like the full page text.
+ * @param {Object} analysis - from analyzeDocument
+ * @param {number} pageIndex
+ * @param {{x: number, y: number, width: number, height: number}} box - PDF user space
+ * @returns {string}
+ */
+function regionText(analysis, pageIndex, box) {
+    const items = (analysis.pageItems[pageIndex] || []).filter(
+        (item) =>
+            item.x >= box.x &&
+            item.x < box.x + box.width &&
+            item.y >= box.y &&
+            item.y < box.y + box.height,
+    );
+    return joinItems(items);
+}
+
+function clearAnalysisCache() {
+    cache.clear();
+}
+
+/**
+ * Analyses of these buffers already in the cache, to send to a worker thread
+ * with its task; buffers not analyzed yet are left out.
+ * @param {Array<Buffer|Uint8Array>} buffers
+ * @returns {Promise<Object[]>} analyzeDocument results
+ */
+function cachedAnalyses(buffers) {
+    const entries = buffers
+        .map((buffer) => cache.get(contentHash(buffer)))
+        .filter(Boolean);
+    return Promise.all(entries);
+}
+
+/**
+ * Adds analyses made by another thread to this thread's cache, so
+ * analyzeDocument doesn't parse those PDFs again.
+ * @param {Object[]} analyses - from cachedAnalyses
+ */
+function addToAnalysisCache(analyses) {
+    for (const analysis of analyses) {
+        if (cache.has(analysis.hash)) continue;
+        cache.set(analysis.hash, Promise.resolve(analysis));
+        if (cache.size > MAX_CACHE_ENTRIES) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+}
+
+module.exports = {
+    analyzeDocument,
+    regionText,
+    clearAnalysisCache,
+    cachedAnalyses,
+    addToAnalysisCache,
+    contentHash,
+};
@@ -0,0 +1,300 @@
+const { OPS, loadPdfJsDocument } = require("./pdfjs");
+
+// Below these, detection is treated as unreliable and fixed margins are used
+const MIN_ITEMS = 3;
+const MIN_AREA_RATIO = 0.05;
+// Fills covering nearly the whole region are page backgrounds, not label content
+const BACKGROUND_AREA_RATIO = 0.95;
+
+const PATH_FILL_OPS = new Set([
+    OPS.fill,
+    OPS.eoFill,
+    OPS.fillStroke,
+    OPS.eoFillStroke,
+    OPS.closeFillStroke,
+    OPS.closeEOFillStroke,
+]);
+const PATH_STROKE_OPS = new Set([OPS.stroke, OPS.closeStroke]);
+const IMAGE_OPS = new Set([
+    OPS.paintJpegXObject,
+    OPS.paintImageXObject,
+    OPS.paintImageMaskXObject,
+    OPS.paintImageMaskXObjectGroup,
+    OPS.paintInlineImageXObject,
+    OPS.paintInlineImageXObjectGroup,
+    OPS.paintImageXObjectRepeat,
+    OPS.paintImageMaskXObjectRepeat,
+    OPS.paintSolidColorImageMask,
+]);
+
+// PDF matrices are [a, b, c, d, e, f]; compose(m, n) applies n first, then m
+function compose(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5],
+    ];
+}
+
+function applyMatrix(m, x, y) {
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+function boxFromPoints(points) {
+    if (points.length === 0) return null;
+    const xs = points.map((p) => p[0]);
+    const ys = points.map((p) => p[1]);
+    return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys),
+    };
+}
+
+function area(box) {
+    return Math.max(0, box.maxX - box.minX) * Math.max(0, box.maxY - box.minY);
+}
+
+function intersect(a, b) {
+    const box = {
+        minX: Math.max(a.minX, b.minX),
+        minY: Math.max(a.minY, b.minY),
+        maxX: Math.min(a.maxX, b.maxX),
+        maxY: Math.min(a.maxY, b.maxY),
+    };
+    return box.minX < box.maxX && box.minY < box.maxY ? box : null;
+}
+
+// Collects the points of a constructPath op ([ops], [coords]) in user space
+function pathPoints(args, ctm) {
+    const [ops, coords] = args;
+    const points = [];
+    let j = 0;
+    for (const op of ops) {
+        if (op === OPS.rectangle) {
+            const [x, y, w, h] = coords.slice(j, j + 4);
+            points.push(
+                applyMatrix(ctm, x, y),
+                applyMatrix(ctm, x + w, y),
+                applyMatrix(ctm, x, y + h),
+                applyMatrix(ctm, x + w, y + h),
+            );
+            j += 4;
+        } else if (op === OPS.moveTo || op === OPS.lineTo) {
+            points.push(applyMatrix(ctm, coords[j], coords[j + 1]));
+            j += 2;
+        } else if (op === OPS.curveTo) {
+            for (let k = 0; k < 6; k += 2) {
+                points.push(applyMatrix(ctm, coords[j + k], coords[j + k + 1]));
+            }
+            j += 6;
+        } else if (op === OPS.curveTo2 || op === OPS.curveTo3) {
+            for (let k = 0; k < 4; k += 2) {
+                points.push(applyMatrix(ctm, coords[j + k], coords[j + k + 1]));
+            }
+            j += 4;
+        }
+    }
+    return points;
+}
+
+function isWhite(color) {
+    return color.every((c) => c >= 250);
+}
+
+// Vector paths and images from the operator list, in page space
+function collectGraphicBoxes(operatorList) {
+    const boxes = [];
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+    let fillColor = [0, 0, 0];
+    let pending = null;
+
+    const { fnArray, argsArray } = operatorList;
+    for (let i = 0; i < fnArray.length; i++) {
+        const fn = fnArray[i];
+        const args = argsArray[i];
+
+        if (fn === OPS.save) {
+            stack.push({ ctm, fillColor });
+        } else if (fn === OPS.restore) {
+            const state = stack.pop();
+            if (state) ({ ctm, fillColor } = state);
+        } else if (fn === OPS.transform) {
+            ctm = compose(ctm, args);
+        } else if (fn === OPS.paintFormXObjectBegin) {
+            stack.push({ ctm, fillColor });
+            if (Array.isArray(args[0])) ctm = compose(ctm, args[0]);
+        } else if (fn === OPS.paintFormXObjectEnd) {
+            const state = stack.pop();
+            if (state) ({ ctm, fillColor } = state);
+        } else if (fn === OPS.setFillRGBColor) {
+            fillColor = [args[0], args[1], args[2]];
+        } else if (fn === OPS.constructPath) {
+            pending = pathPoints(args, ctm);
+        } else if (PATH_FILL_OPS.has(fn) || PATH_STROKE_OPS.has(fn)) {
+            // White fills with no stroke are invisible on paper
+            const invisible =
+                (fn === OPS.fill || fn === OPS.eoFill) && isWhite(fillColor);
+            if (pending && !invisible) {
+                const box = boxFromPoints(pending);
+                if (box) boxes.push({ box, kind: "path" });
+            }
+            pending = null;
+        } else if (fn === OPS.endPath) {
+            // Path used only for clipping (W n): nothing is drawn
+            pending = null;
+        } else if (IMAGE_OPS.has(fn)) {
+            const box = boxFromPoints([
+                applyMatrix(ctm, 0, 0),
+                applyMatrix(ctm, 1, 0),
+                applyMatrix(ctm, 0, 1),
+                applyMatrix(ctm, 1, 1),
+            ]);
+            boxes.push({ box, kind: "image" });
+        }
+    }
+    return boxes;
+}
+
+// Text runs from getTextContent; transform already includes the CTM
+function collectTextBoxes(textContent) {
+    const boxes = [];
+    for (const item of textContent.items) {
+        if (!item.str || !item.str.trim()) continue;
+        const t = item.transform;
+        const scaleX = Math.hypot(t[0], t[1]) || 1;
+        const fontHeight = Math.hypot(t[2], t[3]) || item.height || 0;
+        const ux = t[0] / scaleX;
+        const uy = t[1] / scaleX;
+        const vx = fontHeight ? t[2] / fontHeight : 0;
+        const vy = fontHeight ? t[3] / fontHeight : 1;
+        const corner = (along, up) => [
+            t[4] + ux * along + vx * up,
+            t[5] + uy * along + vy * up,
+        ];
+        // Descenders reach roughly a quarter of the font size below the baseline
+        const box = boxFromPoints([
+            corner(0, -0.25 * fontHeight),
+            corner(item.width, -0.25 * fontHeight),
+            corner(0, fontHeight),
+            corner(item.width, fontHeight),
+        ]);
+        if (box) boxes.push({ box, kind: "text" });
+    }
+    return boxes;
+}
+
+/**
+ * Finds the bounding box of everything drawn on a page (text runs, images and
+ * vector paths) inside a region of that page, in unrotated PDF coordinates.
+ *
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {Object} [options]
+ * @param {number} [options.pageIndex=0]
+ * @param {{x: number, y: number, width: number, height: number}} [options.region]
+ *   Only content inside this area counts (defaults to the whole page).
+ * @returns {Promise<{box: {x: number, y: number, width: number, height: number}|null, confident: boolean, counts: Object}>}
+ */
+async function detectContentBox(buffer, options = {}) {
+    const doc = await loadPdfJsDocument(buffer);
+    try {
+        const page = await doc.getPage((options.pageIndex || 0) + 1);
+        const [vx1, vy1, vx2, vy2] = page.view;
+        const r = options.region || {
+            x: vx1,
+            y: vy1,
+            width: vx2 - vx1,
+            height: vy2 - vy1,
+        };
+        const region = {
+            minX: r.x,
+            minY: r.y,
+            maxX: r.x + r.width,
+            maxY: r.y + r.height,
+        };
+        const regionArea = area(region);
+
+        const [operatorList, textContent] = await Promise.all([
+            page.getOperatorList(),
+            page.getTextContent(),
+        ]);
+        const items = [
+            ...collectTextBoxes(textContent),
+            ...collectGraphicBoxes(operatorList),
+        ];
+
+        const counts = { text: 0, path: 0, image: 0 };
+        let union = null;
+        for (const item of items) {
+            const clipped = intersect(item.box, region);
+            if (!clipped) continue;
+            if (
+                item.kind !== "text" &&
+                area(clipped) >= regionArea * BACKGROUND_AREA_RATIO
+            ) {
+                continue;
+            }
+            counts[item.kind]++;
+            union = union
+                ? {
+                      minX: Math.min(union.minX, clipped.minX),
+                      minY: Math.min(union.minY, clipped.minY),
+                      maxX: Math.max(union.maxX, clipped.maxX),
+                      maxY: Math.max(union.maxY, clipped.maxY),
+                  }
+                : clipped;
+        }
+
+        const total = counts.text + counts.path + counts.image;
+        const confident =
+            !!union &&
+            total >= MIN_ITEMS &&
+            area(union) >= regionArea * MIN_AREA_RATIO;
+
+        return {
+            box: union
+                ? {
+                      x: union.minX,
+                      y: union.minY,
+                      width: union.maxX - union.minX,
+                      height: union.maxY - union.minY,
+                  }
+                : null,
+            confident,
+            counts,
+        };
+    } finally {
+        doc.destroy();
+    }
+}
+
+// Padding used when the one asked for isn't a number (the built-in profiles')
+const DEFAULT_PADDING = 8;
+
+/**
+ * Grows a detected box by padding on every side, without leaving the region.
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {number} requestedPadding - points; DEFAULT_PADDING when not a finite number
+ * @param {{x: number, y: number, width: number, height: number}} region
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function padBox(box, requestedPadding, region) {
+    const padding = Number.isFinite(requestedPadding)
+        ? requestedPadding
+        : DEFAULT_PADDING;
+    const x = Math.max(region.x, box.x - padding);
+    const y = Math.max(region.y, box.y - padding);
+    const maxX = Math.min(region.x + region.width, box.x + box.width + padding);
+    const maxY = Math.min(
+        region.y + region.height,
+        box.y + box.height + padding,
+    );
+    return { x, y, width: maxX - x, height: maxY - y };
+}
+
+module.exports = { detectContentBox, padBox };
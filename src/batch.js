@@ -0,0 +1,145 @@
+const {
+    PDFDocument,
+    PDFHexString,
+    PDFName,
+    StandardFonts,
+    rgb,
+} = require("pdf-lib");
+const { printable } = require("./picklist");
+
+function orderLabel(result) {
+    const meta = result.metadata || {};
+    return String(meta.orderId || meta.id || result.filename || "-");
+}
+
+// Separator page sized like the order's first page, so thermal batches stay 4x6
+function drawSeparatorPage(doc, fonts, size, result, position, total) {
+    const [width, height] = size;
+    const page = doc.addPage([width, height]);
+    const meta = result.metadata || {};
+    const title = printable(`Order ${orderLabel(result)}`);
+    let titleSize = Math.min(36, width / 10);
+    while (
+        titleSize > 10 &&
+        fonts.bold.widthOfTextAtSize(title, titleSize) > width - 36
+    ) {
+        titleSize--;
+    }
+
+    const lines = [`${position} of ${total}`];
+    if (meta.buyerName && meta.buyerName !== "-") lines.push(meta.buyerName);
+    if (Array.isArray(meta.items) && meta.items.length > 0) {
+        const units = meta.items.reduce((n, i) => n + (i.quantity || 1), 0);
+        lines.push(`${units} item(s)`);
+    }
+
+    let y = height / 2 + titleSize / 2;
+    page.drawText(title, {
+        x: (width - fonts.bold.widthOfTextAtSize(title, titleSize)) / 2,
+        y,
+        size: titleSize,
+        font: fonts.bold,
+    });
+    const lineSize = Math.max(8, Math.round(titleSize / 2.5));
+    y -= titleSize;
+    for (const line of lines.map(printable)) {
+        page.drawText(line, {
+            x: (width - fonts.regular.widthOfTextAtSize(line, lineSize)) / 2,
+            y,
+            size: lineSize,
+            font: fonts.regular,
+            color: rgb(0.3, 0.3, 0.3),
+        });
+        y -= lineSize * 1.5;
+    }
+}
+
+/**
+ * Adds a flat document outline (bookmarks panel), one entry per order.
+ * pdf-lib has no outline API, so the dictionaries are written directly.
+ * @param {PDFDocument} doc
+ * @param {Array<{title: string, pageIndex: number}>} entries
+ */
+function addOutline(doc, entries) {
+    if (entries.length === 0) return;
+    const context = doc.context;
+    const outlinesRef = context.nextRef();
+    const itemRefs = entries.map(() => context.nextRef());
+
+    entries.forEach((entry, i) => {
+        const item = {
+            Title: PDFHexString.fromText(entry.title),
+            Parent: outlinesRef,
+            Dest: [doc.getPage(entry.pageIndex).ref, "Fit"],
+        };
+        if (i > 0) item.Prev = itemRefs[i - 1];
+        if (i < entries.length - 1) item.Next = itemRefs[i + 1];
+        context.assign(itemRefs[i], context.obj(item));
+    });
+    context.assign(
+        outlinesRef,
+        context.obj({
+            Type: "Outlines",
+            First: itemRefs[0],
+            Last: itemRefs[itemRefs.length - 1],
+            Count: entries.length,
+        }),
+    );
+    doc.catalog.set(PDFName.of("Outlines"), outlinesRef);
+    doc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+}
+
+/**
+ * Combines merged orders into one print-ready PDF, in the order given, with a
+ * bookmark per order ID. Results without PDF bytes (e.g. orders skipped as
+ * already saved) are left out.
+ * @param {Array<{filename: string, pdfBase64: string|null, metadata: Object}>} results
+ * @param {Object} [options]
+ * @param {boolean} [options.separatorPages=false] - add a page naming the
+ *   next order between orders
+ * @returns {Promise<{pdfBytes: Uint8Array, orderCount: number}|null>} null
+ *   when no result has a PDF
+ */
+async function buildBatchPdf(results, options = {}) {
+    const orders = (results || []).filter((r) => r && r.pdfBase64);
+    if (orders.length === 0) return null;
+
+    const doc = await PDFDocument.create();
+    doc.setTitle(`Batch of ${orders.length} order(s)`);
+    const fonts = {
+        regular: await doc.embedFont(StandardFonts.Helvetica),
+        bold: await doc.embedFont(StandardFonts.HelveticaBold),
+    };
+    const outline = [];
+
+    for (let i = 0; i < orders.length; i++) {
+        const result = orders[i];
+        const source = await PDFDocument.load(
+            Buffer.from(result.pdfBase64, "base64"),
+        );
+        const pages = await doc.copyPages(source, source.getPageIndices());
+        if (pages.length === 0) continue;
+
+        if (options.separatorPages && i > 0) {
+            const { width, height } = pages[0].getSize();
+            drawSeparatorPage(
+                doc,
+                fonts,
+                [width, height],
+                result,
+                i + 1,
+                orders.length,
+            );
+        }
+        outline.push({
+            title: orderLabel(result),
+            pageIndex: doc.getPageCount(),
+        });
+        pages.forEach((page) => doc.addPage(page));
+    }
+
+    addOutline(doc, outline);
+    return { pdfBytes: await doc.save(), orderCount: outline.length };
+}
+
+module.exports = { buildBatchPdf };
@@ -0,0 +1,222 @@
+// Carrier, service level and tracking number recognition for shipping label text.
+
+// Service names as printed on labels, longest first so "Priority Mail Express"
+// is not reported as "Priority Mail"
+const SERVICES = {
+    usps: [
+        ["Priority Mail Express", /Priority\s+Mail\s+Express/i],
+        ["Priority Mail", /Priority\s+Mail/i],
+        ["Ground Advantage", /Ground\s+Advantage/i],
+        ["First-Class", /First[-\s]Class/i],
+        ["Parcel Select", /Parcel\s+Select/i],
+        ["Media Mail", /Media\s+Mail/i],
+    ],
+    ups: [
+        ["Next Day Air Saver", /Next\s+Day\s+Air\s+Saver/i],
+        ["Next Day Air", /Next\s+Day\s+Air/i],
+        ["2nd Day Air", /2nd\s+Day\s+Air/i],
+        ["3 Day Select", /3\s+Day\s+Select/i],
+        ["SurePost", /Sure\s?Post/i],
+        ["Ground", /\bGround\b/i],
+    ],
+    fedex: [
+        ["Priority Overnight", /Priority\s+Overnight/i],
+        ["Standard Overnight", /Standard\s+Overnight/i],
+        ["2Day", /\b2\s?Day\b/i],
+        ["Express Saver", /Express\s+Saver/i],
+        ["Home Delivery", /Home\s+Delivery/i],
+        ["Ground", /\bGround\b/i],
+    ],
+    dhl: [
+        ["Express Worldwide", /Express\s+Worldwide/i],
+        ["eCommerce", /e-?Commerce/i],
+        ["Express", /\bExpress\b/i],
+    ],
+};
+
+// Sum of digits weighted from the right (rightmost digit gets weights[0])
+function weightedSum(digits, weights) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        const digit = Number(digits[digits.length - 1 - i]);
+        sum += digit * weights[i % weights.length];
+    }
+    return sum;
+}
+
+// GS1 mod 10 (weights 3,1 from the right), used by USPS IMpb and FedEx Ground
+function mod10Valid(number) {
+    const body = number.slice(0, -1);
+    const check = (10 - (weightedSum(body, [3, 1]) % 10)) % 10;
+    return check === Number(number.slice(-1));
+}
+
+// UPU S10 international numbers, e.g. "EA123456785US"
+function s10Valid(number) {
+    const digits = number.slice(2, 10);
+    const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+    let sum = 0;
+    for (let i = 0; i < 8; i++) sum += Number(digits[i]) * weights[i];
+    let check = 11 - (sum % 11);
+    if (check === 10) check = 0;
+    if (check === 11) check = 5;
+    return check === Number(number[10]);
+}
+
+// UPS "1Z": letters count as (code - 63) % 10 (A=2 ... H=9, I=0, J=1 ...),
+// odd positions x1, even x2. Some sample numbers in UPS's API docs, e.g.
+// 1Z12345E0205271688, don't carry a valid check digit; printed labels do.
+function upsValid(number) {
+    const body = number.slice(2, -1);
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+        const ch = body[i];
+        const value = /\d/.test(ch) ? Number(ch) : (ch.charCodeAt(0) - 63) % 10;
+        sum += i % 2 === 1 ? value * 2 : value;
+    }
+    return (10 - (sum % 10)) % 10 === Number(number.slice(-1));
+}
+
+// FedEx Express 12 digits: weights 1,3,7 from the right, mod 11 then mod 10
+function fedexExpressValid(number) {
+    const body = number.slice(0, -1);
+    return (
+        (weightedSum(body, [1, 3, 7]) % 11) % 10 === Number(number.slice(-1))
+    );
+}
+
+// DHL Express 10 digits: first nine digits mod 7
+function dhlValid(number) {
+    return Number(number.slice(0, 9)) % 7 === Number(number[9]);
+}
+
+// Known formats; a number is only validated against its carrier's formats
+const TRACKING_FORMATS = [
+    { carrier: "ups", pattern: /^1Z[0-9A-Z]{16}$/, valid: upsValid },
+    { carrier: "usps", pattern: /^9[1-5]\d{18,20}$/, valid: mod10Valid },
+    {
+        carrier: "usps",
+        pattern: /^[A-Z]{2}\d{9}US$/,
+        valid: s10Valid,
+    },
+    // FedEx Ground "96" barcodes carry the 15-digit tracking number at the end
+    {
+        carrier: "fedex",
+        pattern: /^96\d{20}$/,
+        valid: (n) => mod10Valid(n.slice(-15)),
+    },
+    { carrier: "fedex", pattern: /^\d{15}$/, valid: mod10Valid },
+    { carrier: "fedex", pattern: /^\d{12}$/, valid: fedexExpressValid },
+    { carrier: "dhl", pattern: /^\d{10}$/, valid: dhlValid },
+];
+
+/**
+ * Best-effort carrier guess from label text.
+ * @param {string} text
+ * @returns {string|null} "usps", "ups", "fedex", "dhl" or null
+ */
+function detectCarrier(text) {
+    if (!text) return null;
+    if (/\bUSPS\b|United States Postal Service/i.test(text)) return "usps";
+    if (/\bUPS\b|1Z[0-9A-Z]{16}/.test(text)) return "ups";
+    if (/\bFed\s?Ex\b/i.test(text)) return "fedex";
+    if (/\bDHL\b/i.test(text)) return "dhl";
+    return null;
+}
+
+/**
+ * Service level printed on the label, e.g. "Ground Advantage".
+ * @param {string} text
+ * @param {string} carrier
+ * @returns {string|null}
+ */
+function detectService(text, carrier) {
+    if (!text || !SERVICES[carrier]) return null;
+    const match = SERVICES[carrier].find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+// Strips the spaces carriers print between digit groups
+function normalizeTracking(value) {
+    return value ? String(value).replace(/\s+/g, "").toUpperCase() : "";
+}
+
+/**
+ * Tracking-number-shaped strings in the text, each with the carrier whose
+ * format it matches and whether its check digit passes.
+ * Digit groups on one line ("9400 1118 9922 ...") are joined first.
+ * @param {string} text
+ * @returns {Array<{number: string, carrier: string, valid: boolean}>}
+ */
+function findTrackingNumbers(text) {
+    if (!text) return [];
+    const tokens = new Set();
+    for (const line of text.split(/\r?\n/)) {
+        for (const run of line.match(/[0-9A-Z][0-9A-Z ]*[0-9A-Z]/gi) || []) {
+            tokens.add(normalizeTracking(run));
+            for (const word of run.split(" ")) tokens.add(word.toUpperCase());
+        }
+    }
+
+    const found = [];
+    for (const token of tokens) {
+        const format = TRACKING_FORMATS.find((f) => f.pattern.test(token));
+        if (!format) continue;
+        found.push({
+            number: token,
+            carrier: format.carrier,
+            valid: format.valid(token),
+        });
+    }
+    return found;
+}
+
+/**
+ * Validates a tracking number with its carrier's check-digit rules.
+ * @param {string} number
+ * @param {string} [carrier] - restrict to this carrier's formats
+ * @returns {boolean}
+ */
+function validateTracking(number, carrier) {
+    const token = normalizeTracking(number);
+    return TRACKING_FORMATS.some(
+        (f) =>
+            (!carrier || f.carrier === carrier) &&
+            f.pattern.test(token) &&
+            f.valid(token),
+    );
+}
+
+/**
+ * Reads carrier, service and tracking number off a shipping label.
+ * Numbers in the detected carrier's formats win over others (a phone number
+ * can pass DHL's mod 7 by chance); among those, a passing check digit wins.
+ * @param {string} text - label text
+ * @returns {{carrier: string|null, service: string|null, tracking: string|null, trackingValid: boolean}}
+ */
+function analyzeLabelText(text) {
+    let carrier = detectCarrier(text);
+    const candidates = findTrackingNumbers(text);
+    const rank = (c) =>
+        (!carrier || c.carrier === carrier ? 2 : 0) + (c.valid ? 1 : 0);
+    const best = candidates.sort((a, b) => rank(b) - rank(a))[0] || null;
+
+    // A label that never names its carrier still has a recognizable number
+    if (!carrier && best && best.valid) carrier = best.carrier;
+
+    return {
+        carrier,
+        service: detectService(text, carrier),
+        tracking: best ? best.number : null,
+        trackingValid: best ? best.valid : false,
+    };
+}
+
+module.exports = {
+    detectCarrier,
+    detectService,
+    findTrackingNumbers,
+    validateTracking,
+    normalizeTracking,
+    analyzeLabelText,
+};
@@ -0,0 +1,119 @@
+// Upload classification for the single /process endpoint: tells what each
+// uploaded PDF is from its text, so it can be sent to the pipeline that the
+// matching tab (and route) would have used.
+
+const { analyzeDocument } = require("./analysis");
+const { findOrderIds, isPackingSlip, parseDocument } = require("./parsers");
+
+// What a file can be, and the pipeline that handles it:
+//   label              - one shipping label (Etsy, Amazon, eBay)     -> "pairs"
+//   slip               - one packing slip (Etsy, Amazon, eBay)       -> "pairs"
+//   bulk-labels        - label sheet holding several orders' labels  -> "bulk"
+//   bulk-slips         - several orders' packing slips in one PDF    -> "bulk"
+//   tiktok-label       - TikTok shipping label                       -> "tiktok-pairs"/"tiktok-bulk"
+//   tiktok-slip        - one TikTok packing slip                     -> "tiktok-pairs"
+//   tiktok-bulk-slips  - several TikTok packing slips in one PDF     -> "tiktok-bulk"
+//   shopify-export     - Shopify export, each label followed by its slip -> "shopify-bulk"
+//   unknown            - none of the above; not processed
+
+const unique = (ids) => [...new Set(ids)];
+
+// Shopify exports start with a shipping label, and at least one later page is
+// a Shopify packing slip with an order name
+function isShopifyExport(pages) {
+    if (pages.length < 2 || isPackingSlip(pages[0])) return false;
+    return pages.some(
+        (text) =>
+            isPackingSlip(text, { types: ["shopify"] }) &&
+            parseDocument(text, { types: ["shopify"] }),
+    );
+}
+
+// Kind of one file from its own text; TikTok labels are told apart later
+function classifyText(analysis) {
+    const { text, pages } = analysis;
+    const tiktokIds = unique(findOrderIds(text, { types: ["tiktok"] }));
+    const orderIds = unique(analysis.orderIds);
+
+    // TikTok and Shopify slips share the order app's footer; TikTok's carry
+    // "Order ID: <digits>"
+    if (isPackingSlip(text, { types: ["tiktok"] }) && tiktokIds.length > 0) {
+        return {
+            kind: tiktokIds.length > 1 ? "tiktok-bulk-slips" : "tiktok-slip",
+            orderIds: tiktokIds,
+        };
+    }
+    if (isShopifyExport(pages)) {
+        const names = pages
+            .map((page) => parseDocument(page, { types: ["shopify"] }))
+            .filter(Boolean)
+            .map((meta) => meta.id);
+        return { kind: "shopify-export", orderIds: unique(names) };
+    }
+    if (isPackingSlip(text, { types: ["tiktok", "shopify"] })) {
+        return { kind: "unknown", orderIds };
+    }
+    if (isPackingSlip(text)) {
+        return {
+            kind: orderIds.length > 1 ? "bulk-slips" : "slip",
+            orderIds,
+        };
+    }
+    return {
+        kind: orderIds.length > 1 ? "bulk-labels" : "label",
+        orderIds,
+        tiktokIds,
+    };
+}
+
+/**
+ * Classifies uploaded PDFs (see the kinds above). A label is a TikTok label
+ * when its TikTok Order IDs (or, for a label without text, its filename)
+ * belong to TikTok slips in the same upload; otherwise it goes with the
+ * Etsy-style labels.
+ * @param {Array<{originalName: string, buffer: Buffer}>} files
+ * @returns {Promise<Array<{file: Object, kind: string, orderIds: string[]}>>}
+ *   one entry per file, in upload order
+ */
+async function classifyUploads(files) {
+    const entries = [];
+    for (const file of files) {
+        const analysis = await analyzeDocument(file.buffer);
+        const entry = analysis.error
+            ? { kind: "unknown", orderIds: [] }
+            : classifyText(analysis);
+        entries.push({ file, ...entry });
+    }
+
+    const tiktokSlipIds = new Set(
+        entries
+            .filter((e) => e.kind.startsWith("tiktok-"))
+            .flatMap((e) => e.orderIds),
+    );
+    for (const entry of entries) {
+        const { tiktokIds } = entry;
+        delete entry.tiktokIds;
+        if (!tiktokIds || tiktokSlipIds.size === 0) continue;
+        if (
+            tiktokIds.length > 0 &&
+            tiktokIds.every((id) => tiktokSlipIds.has(id))
+        ) {
+            entry.kind = "tiktok-label";
+            entry.orderIds = tiktokIds;
+            continue;
+        }
+        const named =
+            entry.kind === "label" && entry.orderIds.length === 0
+                ? [...tiktokSlipIds].find((id) =>
+                      entry.file.originalName.includes(id),
+                  )
+                : null;
+        if (named) {
+            entry.kind = "tiktok-label";
+            entry.orderIds = [named];
+        }
+    }
+    return entries;
+}
+
+module.exports = { classifyUploads };
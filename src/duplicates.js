@@ -0,0 +1,195 @@
+// Suspected duplicate shipments in a batch: a tracking number on two orders
+// (or twice on one order, e.g. the same label PDF downloaded twice under
+// different names), or an order merged twice. Checked against the batch
+// itself and against earlier outputs: the ledger and the "old labels" folders.
+// Tracking numbers of earlier outputs come from the ledger only; archived
+// files are matched by name and never parsed.
+//
+// Each warning is { type, orderId, tracking?, matches, message } with type
+// "duplicate-tracking" or "duplicate-order"; matches lists the other order
+// IDs or archived files involved.
+
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const path = require("path");
+const { normalizeTracking } = require("./carriers");
+const { findOrderIds } = require("./parsers");
+const { queryLedger } = require("./ledger");
+
+/**
+ * Tracking numbers an order ships under: one per package label, else the
+ * label's (or slip's) number.
+ * @param {Object} metadata - result metadata
+ * @returns {string[]} normalized; may repeat when two packages share one
+ */
+function trackingNumbersOf(metadata) {
+    if (!metadata) return [];
+    if (Array.isArray(metadata.packages)) {
+        const numbers = metadata.packages
+            .map((p) => p.tracking)
+            .filter(Boolean)
+            .map(normalizeTracking);
+        if (numbers.length > 0) return numbers;
+    }
+    const single = metadata.labelTracking || metadata.tracking;
+    return single && single !== "-" ? [normalizeTracking(single)] : [];
+}
+
+function orderIdOf(result) {
+    const metadata = result.metadata || {};
+    return metadata.orderId || metadata.id;
+}
+
+// Order IDs are compared without a leading "#": Shopify keeps it in the ID
+// ("#1001"), TikTok pairs only in the file name
+function orderKey(orderId) {
+    return String(orderId).replace(/^#/, "");
+}
+
+// Output files are named after the order, with no extension ("#" first for
+// TikTok pairs and Shopify orders). "old labels" also holds the source PDFs
+// and batch files moved out of the output folder, and ZPL copies: none of
+// them are orders. Returns the name's order key.
+function archivedOrderId(name) {
+    const orderId = orderKey(name);
+    if (path.extname(orderId)) return null;
+    // Shopify order names have no pattern of their own outside their slips
+    if (name.startsWith("#") && /^[\w-]+$/.test(orderId)) return orderId;
+    const ids = findOrderIds(`Order #${orderId}`);
+    return ids.length === 1 && ids[0] === orderId ? orderId : null;
+}
+
+/**
+ * Earlier outputs to compare against: every order in the ledger plus every
+ * order output in the archive folders. Tracking numbers come from the ledger.
+ * @param {string[]} archiveDirs - "old labels" folders
+ * @returns {Promise<{orders: Map<string, string>, trackings: Map<string, {orderId: string, source: string}>}>}
+ *   orders: order key -> where it was found; trackings: number -> its order
+ */
+async function buildArchiveIndex(archiveDirs) {
+    const orders = new Map();
+    const trackings = new Map();
+    for (const entry of queryLedger().reverse()) {
+        orders.set(orderKey(entry.orderId), entry.outputPath);
+        for (const number of trackingNumbersOf(entry.metadata)) {
+            trackings.set(number, {
+                orderId: entry.orderId,
+                source: entry.outputPath,
+            });
+        }
+    }
+
+    for (const dir of archiveDirs) {
+        if (!fs.existsSync(dir)) continue;
+        const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            if (!entry.isFile()) continue;
+            const orderId = archivedOrderId(entry.name);
+            if (orderId) orders.set(orderId, path.join(dir, entry.name));
+        }
+    }
+    return { orders, trackings };
+}
+
+/**
+ * Flags suspected duplicates among a batch's newly merged results (skipped
+ * results, without pdfBase64, were shipped before and are left alone). Each
+ * flagged result gets its warnings as `duplicates`. Run it before the batch
+ * is saved, so the batch isn't compared with its own ledger entries.
+ * @param {Object[]} results - merge results
+ * @param {string[]} archiveDirs - "old labels" folders of the output folders
+ * @returns {Promise<Object[]>} every warning
+ */
+async function findDuplicates(results, archiveDirs) {
+    const merged = results.filter((r) => r.pdfBase64);
+    if (merged.length === 0) return [];
+    const archive = await buildArchiveIndex(archiveDirs);
+    const warnings = [];
+    const flag = (result, warning) => {
+        result.duplicates = [...(result.duplicates || []), warning];
+        warnings.push(warning);
+    };
+
+    const byOrder = new Map();
+    const byTracking = new Map();
+    for (const result of merged) {
+        const key = orderKey(orderIdOf(result));
+        byOrder.set(key, [...(byOrder.get(key) || []), result]);
+        for (const number of new Set(trackingNumbersOf(result.metadata))) {
+            byTracking.set(number, [
+                ...(byTracking.get(number) || []),
+                orderIdOf(result),
+            ]);
+        }
+    }
+
+    for (const result of merged) {
+        const orderId = orderIdOf(result);
+        const key = orderKey(orderId);
+        const numbers = trackingNumbersOf(result.metadata);
+
+        // The same label twice among one order's packages
+        for (const number of new Set(numbers)) {
+            const count = numbers.filter((n) => n === number).length;
+            if (count > 1) {
+                flag(result, {
+                    type: "duplicate-tracking",
+                    orderId,
+                    tracking: number,
+                    matches: [orderId],
+                    message: `Order ${orderId}: tracking number ${number} is on ${count} of its package labels (the same label twice?).`,
+                });
+            }
+        }
+
+        // Within the batch
+        for (const number of new Set(numbers)) {
+            const others = byTracking
+                .get(number)
+                .filter((id) => orderKey(id) !== key);
+            if (others.length > 0) {
+                flag(result, {
+                    type: "duplicate-tracking",
+                    orderId,
+                    tracking: number,
+                    matches: others,
+                    message: `Order ${orderId}: tracking number ${number} is also on order ${others.join(", ")} in this batch.`,
+                });
+            }
+        }
+        if (byOrder.get(key).length > 1) {
+            flag(result, {
+                type: "duplicate-order",
+                orderId,
+                matches: [orderId],
+                message: `Order ${orderId} was merged ${byOrder.get(key).length} times in this batch.`,
+            });
+        }
+
+        // Against earlier outputs. A result that replaces its earlier output
+        // (updated) is a deliberate re-merge, not a second shipment.
+        for (const number of new Set(numbers)) {
+            const earlier = archive.trackings.get(number);
+            if (earlier && orderKey(earlier.orderId) !== key) {
+                flag(result, {
+                    type: "duplicate-tracking",
+                    orderId,
+                    tracking: number,
+                    matches: [earlier.orderId],
+                    message: `Order ${orderId}: tracking number ${number} was already used for order ${earlier.orderId} (${earlier.source}).`,
+                });
+            }
+        }
+        if (!result.updated && archive.orders.has(key)) {
+            flag(result, {
+                type: "duplicate-order",
+                orderId,
+                matches: [archive.orders.get(key)],
+                message: `Order ${orderId} was already processed (${archive.orders.get(key)}).`,
+            });
+        }
+    }
+    return warnings;
+}
+
+module.exports = { findDuplicates, archivedOrderId };
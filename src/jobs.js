@@ -0,0 +1,122 @@
+// Background jobs for long scans and merges. A route started with job=true
+// answers at once with a job ID; the batch keeps running and publishes
+// progress events, which GET /jobs/:id/events streams as Server-Sent Events.
+//
+// Events (data is JSON):
+//   classified - { file, kind }: what an input file was taken for
+//   matched    - { orderId, files }: an order's label(s) and slip were paired
+//   merged     - { orderId, result }: one finished results-table row, without
+//                its pdfBase64 and zpl (those come with "done")
+//   error      - { message }: one order failed (the others carry on)
+//   cancelled  - {}: cancel was requested; queued orders are dropped
+//   done       - { status, body }: the route's normal response, last event
+
+const crypto = require("crypto");
+
+// Finished jobs stay around this long, so a client that connects late (or
+// reconnects) still gets every event
+const JOB_TTL_MS = 10 * 60 * 1000;
+const jobs = new Map();
+
+/**
+ * @param {string} kind - route name, e.g. "scan-default"
+ * @returns {Object} job: { id, kind, status, signal, ... }
+ */
+function createJob(kind) {
+    const controller = new AbortController();
+    const job = {
+        id: crypto.randomUUID(),
+        kind,
+        status: "running", // "running", "done" or "cancelled"
+        events: [],
+        clients: new Set(),
+        controller,
+        signal: controller.signal,
+    };
+    jobs.set(job.id, job);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function writeEvent(res, event) {
+    res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`,
+    );
+}
+
+/**
+ * Records an event and sends it to every connected client.
+ * @param {Object} job
+ * @param {string} type - see the list above
+ * @param {Object} [data]
+ */
+function emitJobEvent(job, type, data = {}) {
+    const event = { id: job.events.length + 1, type, data };
+    job.events.push(event);
+    for (const res of job.clients) writeEvent(res, event);
+}
+
+/**
+ * Ends the job with the route's response and closes every stream.
+ * @param {Object} job
+ * @param {number} status - HTTP status the route answered with
+ * @param {*} body - its JSON body or text
+ */
+function finishJob(job, status, body) {
+    if (job.status === "running") job.status = "done";
+    emitJobEvent(job, "done", { status, body });
+    for (const res of job.clients) res.end();
+    job.clients.clear();
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Stops a running job: orders not yet merged are skipped, and the route
+ * finishes with what was done so far.
+ * @param {Object} job
+ * @returns {boolean} false when the job had already finished
+ */
+function cancelJob(job) {
+    if (job.status !== "running") return false;
+    job.status = "cancelled";
+    job.controller.abort();
+    emitJobEvent(job, "cancelled");
+    return true;
+}
+
+/**
+ * Streams the job's events as Server-Sent Events, starting after the
+ * Last-Event-ID the browser sends when it reconnects.
+ * @param {Object} job
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function streamJob(job, req, res) {
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const lastId = parseInt(req.get("Last-Event-ID"), 10) || 0;
+    job.events.slice(lastId).forEach((event) => writeEvent(res, event));
+    if (job.events.some((event) => event.type === "done")) {
+        res.end();
+        return;
+    }
+    job.clients.add(res);
+    req.on("close", () => job.clients.delete(res));
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    emitJobEvent,
+    finishJob,
+    cancelJob,
+    streamJob,
+};
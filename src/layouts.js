@@ -0,0 +1,184 @@
+// Bulk label sheet layouts. Names are COLUMNS x ROWS ("1x2" is the classic
+// two labels per Letter page, top and bottom); cells are listed left to right,
+// top to bottom, each with the crop profile its label uses.
+
+const { findOrderIds } = require("./parsers");
+const { regionText } = require("./analysis");
+const { getCropProfile } = require("./settings");
+
+const LABEL_LAYOUTS = {
+    "1x1": { cols: 1, rows: 1, cells: [["full", "bulk-full"]] },
+    "1x2": {
+        cols: 1,
+        rows: 2,
+        cells: [
+            ["top", "bulk-top"],
+            ["bottom", "bulk-bottom"],
+        ],
+    },
+    "2x2": {
+        cols: 2,
+        rows: 2,
+        cells: [
+            ["top-left", "bulk-grid"],
+            ["top-right", "bulk-grid"],
+            ["bottom-left", "bulk-grid"],
+            ["bottom-right", "bulk-grid"],
+        ],
+    },
+    // Three labels across half-sheet stock
+    "3x1": {
+        cols: 3,
+        rows: 1,
+        cells: [
+            ["left", "bulk-strip"],
+            ["center", "bulk-strip"],
+            ["right", "bulk-strip"],
+        ],
+    },
+};
+
+const DEFAULT_LAYOUT = "1x2";
+// 4x6 and smaller pages are 1-up unless the IDs say otherwise
+const SMALL_PAGE_MAX = 500;
+
+/**
+ * Crop profile for one cell: a saved profile named "bulk-<layout>-<cell>"
+ * (e.g. "bulk-2x2-3" for the bottom-left label) wins over the layout's default.
+ */
+function cellCropProfile(layoutName, index) {
+    const override = `bulk-${layoutName}-${index + 1}`;
+    if (getCropProfile(override)) return override;
+    return LABEL_LAYOUTS[layoutName].cells[index][1];
+}
+
+/**
+ * Splits a page box into the layout's cells.
+ * @param {string} layoutName
+ * @param {{x: number, y: number, width: number, height: number}} box - page box, PDF user space
+ * @returns {Array<{index: number, position: string, cropProfile: string, box: Object}>}
+ */
+function layoutCells(layoutName, box) {
+    const layout = LABEL_LAYOUTS[layoutName];
+    const width = box.width / layout.cols;
+    const height = box.height / layout.rows;
+    return layout.cells.map(([position], index) => {
+        const col = index % layout.cols;
+        const row = Math.floor(index / layout.cols);
+        return {
+            index,
+            position,
+            cropProfile: cellCropProfile(layoutName, index),
+            // Row 0 is the top of the page; PDF y grows upwards
+            box: {
+                x: box.x + col * width,
+                y: box.y + box.height - (row + 1) * height,
+                width,
+                height,
+            },
+        };
+    });
+}
+
+/**
+ * Distinct Order IDs printed inside each cell, by text position.
+ * @param {Object} analysis - from analyzeDocument
+ * @param {number} pageIndex
+ * @param {Array<{box: Object}>} cells
+ * @returns {string[][]} IDs per cell
+ */
+function orderIdsInCells(analysis, pageIndex, cells) {
+    return cells.map((cell) => [
+        ...new Set(findOrderIds(regionText(analysis, pageIndex, cell.box))),
+    ]);
+}
+
+// Every cell holds at most one ID and no ID is split across cells
+function separatesIds(idsPerCell) {
+    const seen = new Set();
+    for (const ids of idsPerCell) {
+        if (ids.length > 1) return false;
+        if (ids.length === 1) {
+            if (seen.has(ids[0])) return false;
+            seen.add(ids[0]);
+        }
+    }
+    return true;
+}
+
+// Every cell with text on it has an ID, so no label was cut in half
+function keepsLabelsWhole(analysis, pageIndex, cells, idsPerCell) {
+    return cells.every(
+        (cell, n) =>
+            idsPerCell[n].length > 0 ||
+            !regionText(analysis, pageIndex, cell.box).trim(),
+    );
+}
+
+// A layout whose cells each sit inside one of the other layout's cells
+function refines(name, coarser) {
+    const fine = LABEL_LAYOUTS[name];
+    const coarse = LABEL_LAYOUTS[coarser];
+    return (
+        name !== coarser &&
+        fine.cols % coarse.cols === 0 &&
+        fine.rows % coarse.rows === 0
+    );
+}
+
+/**
+ * Picks the layout with the fewest cells that gives every Order ID on every
+ * page a cell of its own, starting with 1x1, so a 1-up sheet is never cut.
+ * A finer layout nested in it wins when it too separates the IDs and cuts no
+ * label: a 2x2 Letter sheet with one column filled reads as 2x2, not 1x2.
+ * Small pages try 3x1 (half-sheet stock) before 1x2 and are never refined.
+ * Falls back to 1x2 when no layout separates the IDs (cells holding several
+ * IDs are then skipped by the caller).
+ * @param {Object} analysis - from analyzeDocument
+ * @param {Array<{x: number, y: number, width: number, height: number}>} pageBoxes
+ * @returns {string} layout name
+ */
+function detectLabelLayout(analysis, pageBoxes) {
+    const small = pageBoxes.every(
+        (b) => b.width <= SMALL_PAGE_MAX && b.height <= SMALL_PAGE_MAX,
+    );
+    const preference = small
+        ? ["1x1", "3x1", "1x2", "2x2"]
+        : ["1x1", "1x2", "3x1", "2x2"];
+    const check = (name) =>
+        pageBoxes.map((box, i) => {
+            const cells = layoutCells(name, box);
+            const idsPerCell = orderIdsInCells(analysis, i, cells);
+            return {
+                separates: separatesIds(idsPerCell),
+                whole: keepsLabelsWhole(analysis, i, cells, idsPerCell),
+            };
+        });
+    const fits = (name) => check(name).every((page) => page.separates);
+    const fitsWhole = (name) =>
+        check(name).every((page) => page.separates && page.whole);
+
+    const layout = preference.find(fits);
+    if (!layout) return DEFAULT_LAYOUT;
+    if (small) return layout;
+    const finer = preference
+        .filter((name) => refines(name, layout) && fitsWhole(name))
+        .sort(
+            (a, b) =>
+                LABEL_LAYOUTS[b].cells.length - LABEL_LAYOUTS[a].cells.length,
+        );
+    return finer[0] || layout;
+}
+
+function isLabelLayout(name) {
+    return Object.prototype.hasOwnProperty.call(LABEL_LAYOUTS, name);
+}
+
+module.exports = {
+    LABEL_LAYOUTS,
+    DEFAULT_LAYOUT,
+    isLabelLayout,
+    layoutCells,
+    orderIdsInCells,
+    detectLabelLayout,
+};
@@ -0,0 +1,192 @@
+// Processed-order ledger: an append-only NDJSON file on the server recording
+// every order saved to an output folder, so "already processed" survives
+// moved files and switching browsers.
+//
+// One JSON object per line:
+//   { event: "processed", orderId, version, type, shop, processedAt,
+//     outputPath, archivedPath, sourceFiles: [{ name, sha256 }], metadata }
+//   { event: "downloaded", orderId, downloadedAt }: the order's label was
+//     downloaded from a results table
+//
+// An order merged again from changed source files gets the next version;
+// archivedPath is where its previous output was moved (or null).
+
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const path = require("path");
+
+// Kept next to server.js unless LEDGER_FILE points elsewhere
+const LEDGER_FILE =
+    process.env.LEDGER_FILE || path.join(__dirname, "..", "ledger.ndjson");
+
+let entries = null; // every line, oldest first
+let writing = Promise.resolve();
+
+function loadLedger() {
+    if (entries) return entries;
+    entries = [];
+    try {
+        if (!fs.existsSync(LEDGER_FILE)) return entries;
+        const lines = fs.readFileSync(LEDGER_FILE, "utf8").split("\n");
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (err) {
+                console.warn(
+                    `Skipping unreadable line ${index + 1} of ${LEDGER_FILE}`,
+                );
+            }
+        });
+    } catch (err) {
+        console.warn(`Could not read ledger ${LEDGER_FILE}:`, err.message);
+    }
+    return entries;
+}
+
+// Appends one entry; writes are chained so concurrent saves don't interleave
+function append(entry) {
+    loadLedger().push(entry);
+    const line = JSON.stringify(entry) + "\n";
+    writing = writing
+        .then(() => fsPromises.appendFile(LEDGER_FILE, line))
+        .catch((err) => {
+            console.error(`Failed to write ledger ${LEDGER_FILE}:`, err);
+        });
+    return writing;
+}
+
+/**
+ * Records an order saved to the output folder.
+ * @param {Object} result - merge result ({ filename, metadata, sourceFiles })
+ * @param {string} outputPath - where the merged file was written
+ * @param {string|null} [archivedPath] - where the previous version went
+ * @returns {Promise<void>}
+ */
+function recordProcessed(result, outputPath, archivedPath = null) {
+    const metadata = result.metadata || {};
+    const orderId = metadata.orderId || metadata.id;
+    const previous = findProcessed(orderId);
+    return append({
+        event: "processed",
+        orderId,
+        // Entries written before versions were tracked count as version 1
+        version: previous ? (previous.version || 1) + 1 : 1,
+        type: metadata.type || null,
+        shop: metadata.shop || null,
+        processedAt: new Date().toISOString(),
+        outputPath,
+        archivedPath,
+        sourceFiles: result.sourceFiles || [],
+        metadata,
+    });
+}
+
+/**
+ * Latest "processed" entry for an order.
+ * @param {string} orderId
+ * @returns {Object|null}
+ */
+function findProcessed(orderId) {
+    const all = loadLedger();
+    for (let i = all.length - 1; i >= 0; i--) {
+        if (all[i].event === "processed" && all[i].orderId === orderId) {
+            return all[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * True when the entry was merged from the same files, by content hash (file
+ * names may differ), so merging them again would give the same output.
+ * @param {Object} entry - a "processed" entry
+ * @param {Array<{sha256: string}>} sourceFiles
+ * @returns {boolean}
+ */
+function hasSameSources(entry, sourceFiles) {
+    const hashes = (files) =>
+        (files || [])
+            .map((f) => f.sha256)
+            .sort()
+            .join(",");
+    return hashes(entry.sourceFiles) === hashes(sourceFiles);
+}
+
+/**
+ * Records orders whose labels were downloaded from a results table.
+ * @param {string[]} orderIds
+ * @param {string} [downloadedAt] - ISO time, now when missing (an earlier
+ *   time carries over a record the browser kept before the ledger)
+ * @returns {Promise<Object<string, string>>} order ID -> downloadedAt
+ */
+async function recordDownloaded(
+    orderIds,
+    downloadedAt = new Date().toISOString(),
+) {
+    const downloads = {};
+    for (const orderId of new Set(orderIds)) {
+        append({ event: "downloaded", orderId, downloadedAt });
+        downloads[orderId] = downloadedAt;
+    }
+    await writing;
+    return downloads;
+}
+
+/**
+ * When each order was last downloaded (the latest time, whatever order the
+ * records were written in).
+ * @param {string[]} [orderIds] - every downloaded order when missing
+ * @returns {Object<string, string>} order ID -> downloadedAt (ISO)
+ */
+function lastDownloads(orderIds) {
+    const wanted = orderIds ? new Set(orderIds) : null;
+    const downloads = {};
+    for (const entry of loadLedger()) {
+        if (entry.event !== "downloaded") continue;
+        if (wanted && !wanted.has(entry.orderId)) continue;
+        const last = downloads[entry.orderId];
+        if (!last || entry.downloadedAt > last) {
+            downloads[entry.orderId] = entry.downloadedAt;
+        }
+    }
+    return downloads;
+}
+
+/**
+ * "processed" entries, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.orderId]
+ * @param {string} [filters.type] - marketplace, e.g. "etsy"
+ * @param {string} [filters.shop]
+ * @param {string} [filters.since] - ISO date; processedAt on or after it
+ * @param {string} [filters.until] - ISO date; processedAt before it
+ * @param {number} [filters.limit]
+ * @returns {Object[]}
+ */
+function queryLedger(filters = {}) {
+    const since = filters.since ? new Date(filters.since).toISOString() : null;
+    const until = filters.until ? new Date(filters.until).toISOString() : null;
+    const matches = loadLedger()
+        .filter(
+            (e) =>
+                e.event === "processed" &&
+                (!filters.orderId || e.orderId === filters.orderId) &&
+                (!filters.type || e.type === filters.type) &&
+                (!filters.shop || e.shop === filters.shop) &&
+                (!since || e.processedAt >= since) &&
+                (!until || e.processedAt < until),
+        )
+        .reverse();
+    return filters.limit ? matches.slice(0, filters.limit) : matches;
+}
+
+module.exports = {
+    LEDGER_FILE,
+    recordProcessed,
+    findProcessed,
+    hasSameSources,
+    queryLedger,
+    recordDownloaded,
+    lastDownloads,
+};
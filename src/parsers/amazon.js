@@ -0,0 +1,58 @@
+const { formatOrderDate } = require("./util");
+
+// Amazon Seller Central packing slips: "Order ID: 113-1234567-1234567".
+// Registered before TikTok and Etsy, whose "Order ID: <digits>" patterns
+// would otherwise stop at the first dash.
+const ORDER_PATTERN = /Order\s*(?:ID|#|Number)?[:\s#]*(\d{3}-\d{7}-\d{7})\b/i;
+// Printed on the packing slip only; labels bought through Amazon also say
+// "Amazon" and carry the order ID
+const SLIP_MARKER =
+    /Packing\s*Slip|Thank you for buying from .+ on Amazon Marketplace/i;
+
+module.exports = {
+    type: "amazon",
+    idPattern: /Order\s*(?:ID|#|Number)?[:\s#]*(\d{3}-\d{7}-\d{7})\b/gi,
+
+    isSlip(text) {
+        return (
+            ORDER_PATTERN.test(text) &&
+            /amazon/i.test(text) &&
+            SLIP_MARKER.test(text)
+        );
+    },
+
+    detect(text) {
+        return ORDER_PATTERN.test(text);
+    },
+
+    parse(text) {
+        const match = text.match(ORDER_PATTERN);
+        if (!match) return null;
+
+        // "Order Date: Thu, Jan 22, 2026" (the weekday is optional)
+        const dateMatch = text.match(
+            /Order Date[:\s]*(?:[A-Za-z]{3},\s*)?([A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{4})/i,
+        );
+
+        // The number needs a digit, so "Tracking information not available"
+        // isn't read as tracking number "information"
+        const trackingMatch = text.match(
+            /[Tt]racking\s*(?:ID|[Nn]umber|#)?[:\s]*((?=[A-Z]*\d)[A-Z0-9]{10,})/,
+        );
+
+        // "Buyer Name: Jane Doe", else the first line after "Ship To:"
+        const buyerMatch =
+            text.match(/Buyer Name[:\s]*([^\n\r]+)/i) ||
+            text.match(/Ship\s*To[:\s]*\n?\s*([^\n\r]+)/i);
+        const buyerName = buyerMatch ? buyerMatch[1].trim() || "-" : "-";
+
+        return {
+            id: match[1],
+            date: dateMatch ? formatOrderDate(dateMatch[1]) : "-",
+            tracking: trackingMatch ? trackingMatch[1].trim() : "-",
+            // Amazon hides buyer usernames; mirror the name like Etsy does
+            buyerName,
+            buyerUsername: buyerName,
+        };
+    },
+};
@@ -0,0 +1,61 @@
+const { formatOrderDate } = require("./util");
+
+// eBay packing slips: "Order number: 12-10523-78903", or the legacy
+// "<item number>-<transaction id>" form ("123456789012-1234567890012").
+// "Order #12-..." would also match Etsy's digits-only pattern, so eBay is
+// registered before it.
+const ORDER_PATTERN =
+    /Order\s*(?:number|no\.?|#)?[:\s#]*(\d{2}-\d{5}-\d{5}|\d{12}-\d{13,14})\b/i;
+// Printed on the packing slip only; labels bought through eBay also say
+// "eBay" and carry the order number
+const SLIP_MARKER =
+    /Packing\s*slip|Thanks? (?:you )?for (?:buying|your purchase)/i;
+
+module.exports = {
+    type: "ebay",
+    idPattern:
+        /Order\s*(?:number|no\.?|#)?[:\s#]*(\d{2}-\d{5}-\d{5}|\d{12}-\d{13,14})\b/gi,
+
+    isSlip(text) {
+        return (
+            ORDER_PATTERN.test(text) &&
+            /ebay/i.test(text) &&
+            SLIP_MARKER.test(text)
+        );
+    },
+
+    detect(text) {
+        return ORDER_PATTERN.test(text);
+    },
+
+    parse(text) {
+        const match = text.match(ORDER_PATTERN);
+        if (!match) return null;
+
+        // "Order date: Jan 22, 2026", "Date paid: Jan 22, 2026" or "Paid on Jan 22, 2026"
+        const dateMatch = text.match(
+            /(?:Order date|Date paid|Paid on|Sale date)[:\s]*([A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\s+[A-Za-z]{3,9}\.?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{4})/i,
+        );
+
+        // The number needs a digit ("Tracking: Unavailable" has none)
+        const trackingMatch = text.match(
+            /[Tt]racking\s*(?:[Nn]umber|[Nn]o\.?|#)?[:\s]*((?=[A-Z]*\d)[A-Z0-9]{10,})/,
+        );
+
+        // "Buyer: jdoe123" is the eBay user ID; the recipient is under "Ship to"
+        const usernameMatch = text.match(
+            /Buyer(?:\s*(?:ID|username))?[:\s]+([^\s(]+)/i,
+        );
+        const nameMatch = text.match(/Ship\s*to[:\s]*\n?\s*([^\n\r]+)/i);
+        const buyerUsername = usernameMatch ? usernameMatch[1].trim() : "-";
+        const buyerName = nameMatch ? nameMatch[1].trim() || "-" : "-";
+
+        return {
+            id: match[1],
+            date: dateMatch ? formatOrderDate(dateMatch[1]) : "-",
+            tracking: trackingMatch ? trackingMatch[1].trim() : "-",
+            buyerName: buyerName !== "-" ? buyerName : buyerUsername,
+            buyerUsername: buyerUsername !== "-" ? buyerUsername : buyerName,
+        };
+    },
+};
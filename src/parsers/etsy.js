@@ -0,0 +1,101 @@
+const { formatOrderDate } = require("./util");
+const { parseItems } = require("./items");
+const { hasShopMarker } = require("../shops");
+
+// Etsy labels and packing slips: "Order #3953698770", "Order #: 3953698770",
+// "Order ID: 3953698770". Digits only, so a trailing "Buyer" is never captured.
+const ORDER_PATTERN = /Order\s*(?:#|ID)[:\s]*(\d+)/i;
+
+// Items follow the "3 items" count and end at the order totals
+const ITEMS_START = /^\d+\s+items?$/i;
+const ITEMS_END =
+    /^(?:Item total|Subtotal|Discount|Shipping total|Sales tax|Order total|Do the green thing)\b|\.etsy\.com/i;
+
+// Buyer can be either:
+// 1) "Buyer\nFull Name\n(username)"
+// 2) "Buyer username" (username only)
+// 3) Gift order: no "Buyer" label — username appears on the line right after order ID
+function parseBuyer(text, isGift) {
+    let buyerName = "-";
+    let buyerUsername = "-";
+
+    const buyerWithNameMatch = text.match(/Buyer[:\s]+(.*?)\s*\(([^)]+)\)/i);
+
+    if (buyerWithNameMatch) {
+        buyerName = buyerWithNameMatch[1].trim() || "-";
+        buyerUsername = buyerWithNameMatch[2].trim() || "-";
+    } else {
+        const buyerUsernameOnlyMatch = text.match(/Buyer[:\s]+([^\n\r]+)/i);
+        if (buyerUsernameOnlyMatch) {
+            const usernameOnly = buyerUsernameOnlyMatch[1].trim();
+            if (usernameOnly) {
+                buyerName = usernameOnly;
+                buyerUsername = usernameOnly;
+            }
+        } else if (isGift) {
+            // Gift orders: buyer username is on the line immediately after the order ID
+            // Format: "username (username)" or just "username"
+            const giftBuyerMatch = text.match(
+                /Order\s*(?:#|ID)[:\s]*\d+\s*\n\s*(.*?)\s*(?:\(([^)]+)\))?\s*\n/i,
+            );
+            if (giftBuyerMatch) {
+                buyerName = giftBuyerMatch[1].trim() || "-";
+                buyerUsername = giftBuyerMatch[2]
+                    ? giftBuyerMatch[2].trim()
+                    : buyerName;
+            }
+        }
+    }
+
+    // If no explicit buyer name exists, mirror username into both fields.
+    if (
+        (!buyerName || buyerName === "-") &&
+        buyerUsername &&
+        buyerUsername !== "-"
+    ) {
+        buyerName = buyerUsername;
+    }
+
+    return { buyerName, buyerUsername };
+}
+
+module.exports = {
+    type: "etsy",
+    idPattern: /Order\s*(?:#|ID)[:\s]*(\d+)/gi,
+
+    isSlip(text) {
+        return hasShopMarker(text, "etsy");
+    },
+
+    detect(text) {
+        return ORDER_PATTERN.test(text);
+    },
+
+    parse(text) {
+        const match = text.match(ORDER_PATTERN);
+        if (!match) return null;
+
+        const isGift = /Marked as gift/i.test(text);
+
+        // "Order date\nJan 22, 2026"
+        const dateMatch = text.match(
+            /Order date\s*\n\s*([A-Za-z]{3}\s\d{1,2},\s\d{4})/i,
+        );
+
+        // "Tracking\n9400 1118 ..." or "Tracking\n1Z..."; digit groups are joined
+        const trackingMatch = text.match(
+            /Tracking\s*\n\s*(1Z(?: ?[0-9A-Z]){16}|\d[\d ]*\d)/i,
+        );
+
+        return {
+            id: match[1].trim(),
+            date: dateMatch ? formatOrderDate(dateMatch[1]) : "-",
+            tracking: trackingMatch
+                ? trackingMatch[1].replace(/\s+/g, "")
+                : "-",
+            ...parseBuyer(text, isGift),
+            isGift,
+            items: parseItems(text, { start: ITEMS_START, end: ITEMS_END }),
+        };
+    },
+};
@@ -0,0 +1,132 @@
+// Marketplace parser registry.
+//
+// Each marketplace is a module exporting:
+//   type       - metadata type ("etsy", "tiktok", ...), also the "Order from" key
+//   idPattern  - global regex whose first group is an order ID, used to find IDs
+//                in any document (labels included); null to skip scanning
+//   isSlip     - (text) => true for that marketplace's packing slips
+//   detect     - (text) => true when parse() should handle this document
+//   parse      - (text) => partial metadata ({ id, date, tracking, ... }) or null
+//
+// Parsers are tried in registration order, so more specific formats go first.
+// To support a new storefront, add a module here and register it below.
+const amazon = require("./amazon");
+const ebay = require("./ebay");
+const tiktok = require("./tiktok");
+const shopify = require("./shopify");
+const etsy = require("./etsy");
+const { findShopName } = require("../shops");
+
+const parsers = [];
+
+function registerParser(parser) {
+    if (!parser || !parser.type || typeof parser.parse !== "function") {
+        throw new Error("A parser needs a type and a parse(text) function");
+    }
+    const existing = parsers.findIndex((p) => p.type === parser.type);
+    if (existing !== -1) parsers.splice(existing, 1);
+    parsers.push(parser);
+}
+
+function getParsers() {
+    return [...parsers];
+}
+
+function getParser(type) {
+    return parsers.find((p) => p.type === type) || null;
+}
+
+// Restricts the registry to the given types, keeping registration order
+function candidates(types) {
+    return types ? parsers.filter((p) => types.includes(p.type)) : parsers;
+}
+
+/**
+ * Every field the rest of the app reads, so callers never check for undefined.
+ * `shop` is the configured shop whose marker is in the text, or null.
+ * @returns {{id: string, type: string, date: string, tracking: string, buyerName: string, buyerUsername: string, items: Array, shop: string|null}}
+ */
+function normalizeMetadata(type, raw, text) {
+    return {
+        date: "-",
+        tracking: "-",
+        buyerName: "-",
+        buyerUsername: "-",
+        items: [],
+        ...raw,
+        id: String(raw.id).trim(),
+        type,
+        shop: findShopName(text),
+    };
+}
+
+/**
+ * Parses document text with the first parser that recognizes it.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - only try these marketplaces
+ * @returns {Object|null} normalized metadata
+ */
+function parseDocument(text, options = {}) {
+    if (!text) return null;
+    for (const parser of candidates(options.types)) {
+        if (parser.detect && !parser.detect(text)) continue;
+        const raw = parser.parse(text);
+        if (raw && raw.id) return normalizeMetadata(parser.type, raw, text);
+    }
+    return null;
+}
+
+/**
+ * All order IDs in the text, in reading order. When several patterns match at
+ * the same spot, the first registered parser wins.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.types]
+ * @returns {string[]}
+ */
+function findOrderIds(text, options = {}) {
+    if (!text) return [];
+    const byIndex = new Map();
+    for (const parser of candidates(options.types)) {
+        if (!parser.idPattern) continue;
+        for (const match of text.matchAll(parser.idPattern)) {
+            if (!byIndex.has(match.index)) {
+                byIndex.set(match.index, match[1].trim());
+            }
+        }
+    }
+    return [...byIndex.entries()].sort((a, b) => a[0] - b[0]).map((e) => e[1]);
+}
+
+/**
+ * True when any (or any of the given) marketplaces recognize the text as a packing slip.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.types]
+ * @returns {boolean}
+ */
+function isPackingSlip(text, options = {}) {
+    if (!text) return false;
+    return candidates(options.types).some(
+        (p) => typeof p.isSlip === "function" && p.isSlip(text),
+    );
+}
+
+// Amazon and eBay IDs contain dashes; they must win over the digits-only
+// patterns. Shopify goes before Etsy: a Shopify slip's "Order #1001" also
+// matches Etsy's pattern, but only Shopify checks for its shop marker.
+registerParser(amazon);
+registerParser(ebay);
+registerParser(tiktok);
+registerParser(shopify);
+registerParser(etsy);
+
+module.exports = {
+    registerParser,
+    getParsers,
+    getParser,
+    parseDocument,
+    findOrderIds,
+    isPackingSlip,
+};
@@ -0,0 +1,121 @@
+// Line-item parsing shared by the packing slip parsers.
+//
+// Slips list each item as a title line followed by detail lines, ending with
+// a quantity line:
+//   Sterling Silver Ring
+//   SKU: RING-001
+//   Size: 7
+//   Personalization: Anna
+//   1 x $25.00
+// Labelled lines ("SKU:", "Personalization:", "Qty:") fill those fields; any
+// other "Key: Value" line is a variation.
+
+const SKU_KEYS = /^(?:seller\s+)?sku$/i;
+const PERSONALIZATION_KEYS =
+    /^(?:personali[sz]ation|custom(?:ization| text)?)$/i;
+const QUANTITY_KEYS = /^(?:qty|quantity)$/i;
+// "Key: Value" with a short key, so sentences containing a colon are not split
+const KEY_VALUE = /^([A-Za-z][\w ()/&-]{0,30}?)\s*:\s*(.+)$/;
+// Column headers and price-only lines carry no item data
+const SKIP_LINE =
+    /^(?:items?|product(?: name)?|sku|seller sku|qty|quantity|price|items?\s+quantity)$|^[$€£]?\s?\d[\d,]*\.\d{2}$|^(?:USD|EUR|GBP)\s?[\d,.]+$/i;
+
+// Quantity printed on its own line: "1 x $25.00", "Qty: 2", "2 of 2", "x3", "3"
+function matchQuantity(line) {
+    const patterns = [
+        /^(\d+)\s*[x×]\b/i,
+        /^(?:qty|quantity)[:\s]*(\d+)$/i,
+        /^(\d+)\s+of\s+\d+$/i,
+        /^[x×]\s*(\d+)$/i,
+        /^(\d{1,3})$/,
+    ];
+    for (const pattern of patterns) {
+        const match = line.match(pattern);
+        if (match) return Number(match[1]);
+    }
+    return null;
+}
+
+function newItem(title) {
+    return {
+        title,
+        sku: null,
+        variation: null,
+        quantity: 1,
+        personalization: null,
+    };
+}
+
+function hasDetails(item) {
+    return !!(item.sku || item.variation || item.personalization);
+}
+
+function addVariation(item, value) {
+    item.variation = item.variation ? `${item.variation}, ${value}` : value;
+}
+
+/**
+ * Parses the item section of a packing slip.
+ * @param {string} text - full slip text
+ * @param {Object} options
+ * @param {RegExp} options.start - line that opens the item section (the
+ *   section starts after it); items are read from the top when it is missing
+ * @param {RegExp} options.end - line that closes the item section
+ * @param {"title"|"variation"} [options.extraLines="title"] - what a second
+ *   plain line means: a wrapped title (Etsy) or the variant name (Shopify)
+ * @returns {Array<{title: string, sku: string|null, variation: string|null, quantity: number, personalization: string|null}>}
+ */
+function parseItems(text, options) {
+    if (!text) return [];
+    const lines = text
+        .split(/\r?\n/)
+        .map((l) => l.trim())
+        .filter(Boolean);
+    const startIndex = lines.findIndex((l) => options.start.test(l));
+    if (startIndex === -1) return [];
+
+    const items = [];
+    let current = null;
+    const finish = () => {
+        if (current && current.title) items.push(current);
+        current = null;
+    };
+
+    for (const line of lines.slice(startIndex + 1)) {
+        if (options.end.test(line)) break;
+
+        const quantity = matchQuantity(line);
+        if (quantity !== null) {
+            if (current) {
+                current.quantity = quantity;
+                finish();
+            }
+            continue;
+        }
+        if (SKIP_LINE.test(line)) continue;
+
+        const kv = line.match(KEY_VALUE);
+        if (kv && current) {
+            const [, key, value] = kv;
+            if (SKU_KEYS.test(key)) current.sku = value.trim();
+            else if (PERSONALIZATION_KEYS.test(key))
+                current.personalization = value.trim();
+            else if (QUANTITY_KEYS.test(key)) current.quantity = Number(value);
+            else addVariation(current, `${key.trim()}: ${value.trim()}`);
+            continue;
+        }
+
+        // Plain line: continues the current item or starts the next one
+        if (current && !hasDetails(current)) {
+            if (options.extraLines === "variation") addVariation(current, line);
+            else current.title = `${current.title} ${line}`;
+            continue;
+        }
+        finish();
+        current = newItem(line);
+    }
+    finish();
+    return items;
+}
+
+module.exports = { parseItems };
@@ -0,0 +1,86 @@
+// Shopify packing slips: "Order #1234", "Order 216459429", "Order #1234-A".
+// The "#" is kept in the ID because it is part of the Shopify order name.
+const { formatOrderDate } = require("./util");
+const { parseItems } = require("./items");
+const { hasShopMarker, endAtShopMarkers } = require("../shops");
+
+const ORDER_PATTERN = /Order\s+(#[\w-]+|\d+)/i;
+// "Items  Quantity" header; each item is a title, its variant name, "SKU: ..."
+// and "1 of 1". Packing slips printed from the shop's order app end with its
+// footer (the shop's Shopify end-of-order markers), which also ends the items.
+const ITEMS_START = /^Items?(?:\s+Quantity)?$/i;
+const ITEMS_END = /^(?:Subtotal|Total|Notes?|Thank you|Shipping)\b/i;
+
+const DATE =
+    "[A-Za-z]{3,9}\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}\\/\\d{4}";
+// "Order date: Jan 22, 2026", else the date printed under the order name
+const DATE_PATTERNS = [
+    new RegExp(`^\\s*(?:Order\\s*)?Date[:\\s]*(${DATE})`, "im"),
+    new RegExp(`Order\\s+(?:#[\\w-]+|\\d+)\\s*\\n\\s*(${DATE})`, "i"),
+];
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+
+// Customer name: "Customer: Jane Doe" (or the name under a "Customer"
+// heading), else the first line of the "Ship to" address (the header may
+// share its line with "Bill to")
+function parseCustomerName(text) {
+    const match =
+        text.match(
+            /^\s*Customer(?:\s*name)?(?::[^\S\n]*|[^\S\n]*\n\s*)([^\n\r]+)/im,
+        ) ||
+        text.match(
+            /Ship\s*to:?[^\S\n]*(?:Bill\s*to:?)?[^\S\n]*\n\s*([^\n\r]+)/i,
+        );
+    return match ? match[1].trim() || "-" : "-";
+}
+
+// Customer email: "Email: ..." wins; otherwise the first address printed
+// before the items, since the shop's own contact email sits in the footer
+function parseEmail(text) {
+    const labeled = text.match(
+        new RegExp(`E-?mail[:\\s]*(${EMAIL.source})`, "i"),
+    );
+    if (labeled) return labeled[1];
+    const lines = text.split(/\r?\n/);
+    const itemsAt = lines.findIndex((line) => ITEMS_START.test(line.trim()));
+    const header = itemsAt === -1 ? lines : lines.slice(0, itemsAt);
+    const match = header.join("\n").match(EMAIL);
+    return match ? match[0] : null;
+}
+
+module.exports = {
+    type: "shopify",
+    // Shopify order names are too loose ("Order 2") to trust outside its own slips
+    idPattern: null,
+
+    isSlip(text) {
+        return hasShopMarker(text, "shopify");
+    },
+
+    detect(text) {
+        return this.isSlip(text) && ORDER_PATTERN.test(text);
+    },
+
+    parse(text) {
+        const match = text.match(ORDER_PATTERN);
+        if (!match) return null;
+
+        const dateMatch = DATE_PATTERNS.map((p) => text.match(p)).find(Boolean);
+        const buyerName = parseCustomerName(text);
+        const email = parseEmail(text);
+
+        return {
+            id: match[1].trim(),
+            date: dateMatch ? formatOrderDate(dateMatch[1]) : "-",
+            // Shopify has no buyer usernames; the customer's email stands in,
+            // and either field mirrors the other when only one is printed
+            buyerName: buyerName !== "-" ? buyerName : email || "-",
+            buyerUsername: email || buyerName,
+            items: parseItems(text, {
+                start: ITEMS_START,
+                end: endAtShopMarkers(ITEMS_END, "shopify"),
+                extraLines: "variation",
+            }),
+        };
+    },
+};
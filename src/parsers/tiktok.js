@@ -0,0 +1,72 @@
+// TikTok Shop labels and packing slips: "Order ID: 576..." (digits only)
+const { formatOrderDate } = require("./util");
+const { parseItems } = require("./items");
+const { detectCarrier } = require("../carriers");
+const { hasShopMarker, endAtShopMarkers } = require("../shops");
+
+// Packing list table: "Items" / "Product name" header, then one row per
+// product. Packing slips printed from the shop's order app carry its footer
+// (the shop's "tiktok" slip markers), which also ends the table.
+const ITEMS_START = /^(?:Items|Product name)\b/i;
+const ITEMS_END = /^(?:Sub)?total\b/i;
+
+// "Order date: 2026/01/22", "Order created time: 01/22/2026 10:31", "Paid
+// time: Jan 22, 2026"; the time of day is dropped
+const DATE_PATTERN =
+    /(?:Order\s*(?:date|created(?:\s*time)?|time)|Created\s*time|Paid\s*time)[:\s]*(\d{4}[/-]\d{1,2}[/-]\d{1,2}|\d{1,2}\/\d{1,2}\/\d{4}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4})/i;
+// "Tracking number: 9400 1118 ..." / "Tracking ID: 1Z..."; digit groups are
+// joined, and the number must contain a digit so a word is never taken
+const TRACKING_PATTERN =
+    /Tracking\s*(?:ID|number|no\.?|#)?[:\s]*(\d[\d ]{8,}\d|(?=[A-Z]*\d)[A-Z0-9]{10,})/i;
+// The recipient is under "Ship to" / "Recipient"; "Buyer: name" or
+// "Username: @name" is the TikTok username
+const RECIPIENT_PATTERN =
+    /(?:Ship\s*to|Deliver\s*to|Recipient(?:\s*name)?)[:\s]*\n?\s*([^\n\r]+)/i;
+const USERNAME_PATTERN =
+    /(?:Buyer(?:\s*(?:username|nickname|ID))?|(?:TikTok\s*)?Username):\s*@?([^\s(]+)/i;
+// "Shipping provider: USPS" on slips; labels name their carrier anyway
+const CARRIER_PATTERN =
+    /(?:Shipping\s*(?:provider|carrier)|Carrier|Logistics(?:\s*provider)?)[:\s]*([^\n\r]+)/i;
+
+module.exports = {
+    type: "tiktok",
+    idPattern: /Order ID:\s*(\d+)/gi,
+
+    isSlip(text) {
+        return hasShopMarker(text, "tiktok");
+    },
+
+    detect(text) {
+        return /Order ID:\s*\d+/i.test(text);
+    },
+
+    parse(text) {
+        const match = text.match(/Order ID:\s*(\d+)/i);
+        if (!match) return null;
+
+        const dateMatch = text.match(DATE_PATTERN);
+        const trackingMatch = text.match(TRACKING_PATTERN);
+        const nameMatch = text.match(RECIPIENT_PATTERN);
+        const usernameMatch = text.match(USERNAME_PATTERN);
+        const carrierMatch = text.match(CARRIER_PATTERN);
+        const carrier = carrierMatch ? detectCarrier(carrierMatch[1]) : null;
+
+        return {
+            id: match[1].trim(),
+            date: dateMatch ? formatOrderDate(dateMatch[1]) : "-",
+            tracking: trackingMatch
+                ? trackingMatch[1].replace(/\s+/g, "")
+                : "-",
+            // Not mirrored into each other: a pair's label may carry the
+            // recipient name its slip lacks (see processTikTokPair)
+            buyerName: nameMatch ? nameMatch[1].trim() || "-" : "-",
+            buyerUsername: usernameMatch ? usernameMatch[1].trim() : "-",
+            ...(carrier && { carrier }),
+            items: parseItems(text, {
+                start: ITEMS_START,
+                end: endAtShopMarkers(ITEMS_END, "tiktok"),
+                extraLines: "variation",
+            }),
+        };
+    },
+};
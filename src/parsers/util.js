@@ -0,0 +1,19 @@
+/**
+ * Formats a marketplace date string ("Jan 22, 2026", "2026-01-22", ...) as
+ * MM/DD/YYYY, the format shown in the results table. Unparseable strings are
+ * returned unchanged so nothing is lost.
+ * @param {string} dateStr
+ * @returns {string}
+ */
+function formatOrderDate(dateStr) {
+    if (!dateStr) return "-";
+    const trimmed = dateStr.trim();
+    const d = new Date(trimmed);
+    if (isNaN(d.getTime())) return trimmed;
+    const mm = String(d.getMonth() + 1).padStart(2, "0");
+    const dd = String(d.getDate()).padStart(2, "0");
+    const yyyy = d.getFullYear();
+    return `${mm}/${dd}/${yyyy}`;
+}
+
+module.exports = { formatOrderDate };
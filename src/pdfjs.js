@@ -0,0 +1,21 @@
+// Direct access to the pdf.js build bundled with pdf-parse, for work that
+// needs more than plain text (operator lists, text positions, per-page text).
+const PDFJS = require("pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js");
+
+PDFJS.disableWorker = true;
+
+/**
+ * Opens a PDF with pdf.js. Caller must call doc.destroy() when done.
+ * pdf.js expects a plain Uint8Array: Buffer#slice returns a view instead of a
+ * copy, which corrupts parsing of some files.
+ * @param {Buffer|Uint8Array} buffer
+ * @returns {Promise<Object>} pdf.js PDFDocumentProxy
+ */
+async function loadPdfJsDocument(buffer) {
+    return PDFJS.getDocument({
+        data: new Uint8Array(buffer),
+        nativeImageDecoderSupport: "none",
+    });
+}
+
+module.exports = { PDFJS, OPS: PDFJS.OPS, loadPdfJsDocument };
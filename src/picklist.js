@@ -0,0 +1,214 @@
+const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
+
+const PAGE = { width: 612, height: 792 };
+const MARGIN = 36;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const COLUMNS = [
+    { key: "sku", label: "SKU", width: 110 },
+    { key: "item", label: "Item / Variation", width: 230 },
+    { key: "quantity", label: "Qty", width: 40 },
+    { key: "orders", label: "Orders", width: 160 },
+];
+
+/**
+ * Totals line items across processed results, one row per SKU (or per
+ * title + variation when a slip has no SKU), sorted by SKU. Rows without a
+ * SKU come last, by title.
+ * @param {Array<{metadata: Object}>} results - scan/merge results
+ * @returns {{rows: Array<{sku: string|null, title: string, variation: string|null, quantity: number, orders: string[]}>, ordersWithoutItems: string[]}}
+ */
+function aggregatePickList(results) {
+    const rows = new Map();
+    const ordersWithoutItems = [];
+
+    for (const result of results || []) {
+        const meta = (result && result.metadata) || {};
+        const orderId = meta.orderId || meta.id || result.filename || "-";
+        const items = Array.isArray(meta.items) ? meta.items : [];
+        if (items.length === 0) {
+            ordersWithoutItems.push(orderId);
+            continue;
+        }
+        for (const item of items) {
+            const key = item.sku
+                ? `sku:${item.sku}`
+                : `title:${item.title}|${item.variation || ""}`;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    sku: item.sku || null,
+                    title: item.title || "-",
+                    variation: item.variation || null,
+                    quantity: 0,
+                    orders: [],
+                });
+            }
+            const row = rows.get(key);
+            row.quantity += Number(item.quantity) || 1;
+            if (!row.orders.includes(orderId)) row.orders.push(orderId);
+        }
+    }
+
+    const compare = (a, b) =>
+        a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+    const sorted = [...rows.values()].sort((a, b) => {
+        if (a.sku && b.sku) return compare(a.sku, b.sku);
+        if (a.sku || b.sku) return a.sku ? -1 : 1;
+        return compare(a.title, b.title);
+    });
+    return { rows: sorted, ordersWithoutItems };
+}
+
+// Standard fonts only cover WinAnsi; drop anything else (emoji, CJK) instead of throwing
+function printable(text) {
+    return String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, "");
+}
+
+// Greedy word wrap to the column width; long words are split by character
+function wrapText(text, font, width) {
+    const lines = [];
+    let line = "";
+    for (const word of printable(text).split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (font.widthOfTextAtSize(candidate, FONT_SIZE) <= width) {
+            line = candidate;
+            continue;
+        }
+        if (line) lines.push(line);
+        line = "";
+        let rest = word;
+        while (font.widthOfTextAtSize(rest, FONT_SIZE) > width) {
+            let cut = rest.length - 1;
+            while (
+                cut > 1 &&
+                font.widthOfTextAtSize(rest.slice(0, cut), FONT_SIZE) > width
+            ) {
+                cut--;
+            }
+            lines.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+        }
+        line = rest;
+    }
+    if (line) lines.push(line);
+    return lines.length > 0 ? lines : [""];
+}
+
+/**
+ * Builds the pick list PDF: one table row per SKU with total quantity and
+ * the order IDs that need it.
+ * @param {Array<{metadata: Object}>} results - scan/merge results
+ * @param {Object} [options]
+ * @param {string} [options.title="Pick List"]
+ * @param {Date} [options.date=new Date()]
+ * @returns {Promise<Uint8Array>}
+ */
+async function buildPickListPdf(results, options = {}) {
+    const { rows, ordersWithoutItems } = aggregatePickList(results);
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+    const title = options.title || "Pick List";
+    const date = options.date || new Date();
+    doc.setTitle(title);
+
+    let page;
+    let y;
+    const newPage = () => {
+        page = doc.addPage([PAGE.width, PAGE.height]);
+        y = PAGE.height - MARGIN;
+    };
+    const drawHeaderRow = () => {
+        let x = MARGIN;
+        for (const col of COLUMNS) {
+            page.drawText(col.label, { x, y, size: FONT_SIZE, font: bold });
+            x += col.width;
+        }
+        y -= 4;
+        page.drawLine({
+            start: { x: MARGIN, y },
+            end: { x: PAGE.width - MARGIN, y },
+            thickness: 0.75,
+        });
+        y -= LINE_HEIGHT;
+    };
+
+    newPage();
+    page.drawText(title, { x: MARGIN, y: y - 14, size: 18, font: bold });
+    y -= 32;
+    const totalUnits = rows.reduce((sum, r) => sum + r.quantity, 0);
+    const orderCount = new Set([
+        ...rows.flatMap((r) => r.orders),
+        ...ordersWithoutItems,
+    ]).size;
+    page.drawText(
+        `${date.toLocaleString()}  -  ${orderCount} order(s), ${rows.length} line(s), ${totalUnits} unit(s)`,
+        { x: MARGIN, y, size: FONT_SIZE, font },
+    );
+    y -= 2 * LINE_HEIGHT;
+    drawHeaderRow();
+
+    for (const row of rows) {
+        const cells = {
+            sku: wrapText(row.sku || "-", font, COLUMNS[0].width - 6),
+            item: wrapText(
+                row.variation ? `${row.title} (${row.variation})` : row.title,
+                font,
+                COLUMNS[1].width - 6,
+            ),
+            quantity: [String(row.quantity)],
+            orders: wrapText(row.orders.join(", "), font, COLUMNS[3].width),
+        };
+        const height =
+            Math.max(...Object.values(cells).map((c) => c.length)) *
+            LINE_HEIGHT;
+        if (y - height < MARGIN) {
+            newPage();
+            drawHeaderRow();
+        }
+
+        let x = MARGIN;
+        for (const col of COLUMNS) {
+            cells[col.key].forEach((text, i) => {
+                page.drawText(text, {
+                    x,
+                    y: y - i * LINE_HEIGHT,
+                    size: FONT_SIZE,
+                    font: col.key === "quantity" ? bold : font,
+                });
+            });
+            x += col.width;
+        }
+        y -= height;
+        page.drawLine({
+            start: { x: MARGIN, y: y + LINE_HEIGHT - 3 },
+            end: { x: PAGE.width - MARGIN, y: y + LINE_HEIGHT - 3 },
+            thickness: 0.25,
+            color: rgb(0.7, 0.7, 0.7),
+        });
+    }
+
+    if (ordersWithoutItems.length > 0) {
+        const note = wrapText(
+            `No items read from: ${ordersWithoutItems.join(", ")}`,
+            font,
+            PAGE.width - 2 * MARGIN,
+        );
+        if (y - (note.length + 1) * LINE_HEIGHT < MARGIN) newPage();
+        y -= LINE_HEIGHT;
+        note.forEach((text) => {
+            page.drawText(text, {
+                x: MARGIN,
+                y,
+                size: FONT_SIZE,
+                font,
+                color: rgb(0.6, 0, 0),
+            });
+            y -= LINE_HEIGHT;
+        });
+    }
+
+    return doc.save();
+}
+
+module.exports = { aggregatePickList, buildPickListPdf, printable };
@@ -1,177 +1,263 @@
 const { PDFDocument, degrees } = require("pdf-lib");
-const pdfParse = require("pdf-parse");
-
-// --- CROP CONFIGURATION ---
-const DEFAULT_CROP = {
-    visualTopMargin: 40,
-    visualBottomMargin: 40,
-    visualLeftMargin: 10,
-    visualRightMargin: 40,
-};
+const { resolveCropProfile } = require("./settings");
+const { detectContentBox, padBox } = require("./autocrop");
+const { normalizeTo4x6 } = require("./thermal");
+const { parseDocument, findOrderIds, isPackingSlip } = require("./parsers");
+const { analyzeDocument, regionText, contentHash } = require("./analysis");
+const { shopMarkers } = require("./shops");
+const {
+    isLabelLayout,
+    layoutCells,
+    orderIdsInCells,
+    detectLabelLayout,
+} = require("./layouts");
+const {
+    detectCarrier,
+    analyzeLabelText,
+    normalizeTracking,
+    validateTracking,
+} = require("./carriers");
 
-// "Right Half" (Top Label) - Works well with default bulk settings
-const BULK_CROP_TOP = {
-    visualTopMargin: 70,
-    visualBottomMargin: 70,
-    visualLeftMargin: 27,
-    visualRightMargin: 64,
-};
+/**
+ * Converts visual margins (as seen after rotation) into a CropBox inside
+ * the given region of the unrotated page.
+ * With /Rotate 90 (clockwise): Visual Top = Unrotated Left, Visual Bottom =
+ * Unrotated Right, Visual Left = Unrotated Bottom, Visual Right = Unrotated Top.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} region
+ * @param {Object} profile - crop profile with visual margins and rotation
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function visualMarginsToCropBox(region, profile) {
+    const T = profile.visualTopMargin;
+    const B = profile.visualBottomMargin;
+    const L = profile.visualLeftMargin;
+    const R = profile.visualRightMargin;
+
+    // Margin to remove from each unrotated edge
+    let left = L,
+        right = R,
+        bottom = B,
+        top = T;
+    if (profile.rotation === 90) {
+        [left, right, bottom, top] = [T, B, L, R];
+    } else if (profile.rotation === 180) {
+        [left, right, bottom, top] = [R, L, T, B];
+    } else if (profile.rotation === 270) {
+        [left, right, bottom, top] = [B, T, R, L];
+    }
 
-// "Left Half" (Bottom Label) - Needs less cropping on Left/Right
-const BULK_CROP_BOTTOM = {
-    visualTopMargin: 70,
-    visualBottomMargin: 70,
-    visualLeftMargin: 64, // Reduced from 20 ("left margin should be less")
-    visualRightMargin: 28, // Reduced from 60 ("right margin is too much cropped")
-};
+    return {
+        x: region.x + left,
+        y: region.y + bottom,
+        width: region.width - left - right,
+        height: region.height - bottom - top,
+    };
+}
 
 /**
- * Extracts metadata from PDF text based on TikTok or Etsy patterns.
+ * Extracts order metadata from a PDF using the marketplace parser registry.
  * @param {Buffer} buffer - PDF file buffer
- * @returns {Promise<Object|null>} - Extracted metadata or null
+ * @param {Object} [options] - { types: ["etsy", ...] } to only try some marketplaces
+ * @returns {Promise<Object|null>} - Normalized metadata ({ id, type, date, tracking, buyerName, buyerUsername, items }) or null
  */
-async function extractLabelData(buffer) {
-    try {
-        const data = await pdfParse(buffer);
-        const text = data.text;
-
-        // TikTok pattern: "Order ID: xxxxxxxxxx"
-        const tiktokMatch = text.match(/Order ID:\s*(\d+)/i);
-        if (tiktokMatch) {
-            return {
-                id: tiktokMatch[1].trim(),
-                type: "tiktok",
-                date: "-",
-                tracking: "-",
-            };
-        }
+async function extractLabelData(buffer, options = {}) {
+    const analysis = await analyzeDocument(buffer);
+    if (analysis.error) return null;
+    return parseDocument(analysis.text, options);
+}
 
-        // Etsy pattern: "Order #xxxxxxxx"
-        // Also handles "Order #: xxxxx" pattern (User Example: "Order #: 3953698770")
-        // Regex Explanation:
-        // Order\s* : Matches "Order" followed by optional whitespace
-        // (?:#|ID) : Non-capturing group matching "#" OR "ID"
-        // [:\s]*   : Matches optional colon and whitespace
-        // (\d+)    : Capturing group for the ID (Digits only to avoid capturing "Buyer" suffix)
-        const etsyMatch = text.match(/Order\s*(?:#|ID)[:\s]*(\d+)/i);
-        if (etsyMatch) {
-            const orderId = etsyMatch[1].trim();
-
-            // Detect gift order
-            const isGift = /Marked as gift/i.test(text);
-
-            // Extract Date: "Order date\nJan 22, 2026"
-            // Matches "Jan 22, 2026" or similar
-            const dateMatch = text.match(
-                /Order date\s*\n\s*([A-Za-z]{3}\s\d{1,2},\s\d{4})/i,
-            );
-            let formattedDate = "-";
-            if (dateMatch) {
-                const dateStr = dateMatch[1].trim();
-                const d = new Date(dateStr);
-                if (!isNaN(d.getTime())) {
-                    // Format as MM/DD/YYYY
-                    const mm = String(d.getMonth() + 1).padStart(2, "0");
-                    const dd = String(d.getDate()).padStart(2, "0");
-                    const yyyy = d.getFullYear();
-                    formattedDate = `${mm}/${dd}/${yyyy}`;
-                } else {
-                    formattedDate = dateStr;
-                }
-            }
+// Full document text ("" when the PDF can't be read)
+async function readPdfText(buffer) {
+    return (await analyzeDocument(buffer)).text;
+}
+
+/**
+ * Adds the carrier, service level and tracking check from the shipping label
+ * to result metadata. The slip's tracking number stays when it has one; the
+ * label's number fills in otherwise.
+ * @param {Object} metadata - result metadata (orderId, tracking, ...), updated in place
+ * @param {string|null} labelText - text of the label alone; null when unknown
+ *   (e.g. a sheet still holding two labels)
+ * @returns {string[]} errors, e.g. slip and label tracking numbers disagree
+ */
+function applyLabelTracking(metadata, labelText) {
+    const errors = [];
+    const label = labelText
+        ? analyzeLabelText(labelText)
+        : {
+              carrier: null,
+              service: null,
+              tracking: null,
+              trackingValid: false,
+          };
+    const carrier = metadata.carrier || label.carrier;
+    if (carrier) metadata.carrier = carrier;
+    if (label.service) metadata.service = label.service;
+    if (label.tracking) metadata.labelTracking = label.tracking;
+
+    const slipTracking =
+        metadata.tracking && metadata.tracking !== "-"
+            ? normalizeTracking(metadata.tracking)
+            : null;
+    if (!slipTracking) {
+        if (label.tracking) metadata.tracking = label.tracking;
+        metadata.trackingValid = label.trackingValid;
+        return errors;
+    }
 
-            // Extract Tracking: "Tracking\n9400..."
-            const trackingMatch = text.match(/Tracking\s*\n\s*(\d+)/i);
-            const tracking = trackingMatch ? trackingMatch[1].trim() : "-";
+    metadata.trackingValid = validateTracking(slipTracking, carrier);
+    // Only a check-digit-valid label number is trusted enough to call it a
+    // mismatch; the slip's number printed anywhere on the label also counts
+    if (
+        label.tracking &&
+        label.trackingValid &&
+        label.tracking !== slipTracking &&
+        !normalizeTracking(labelText).includes(slipTracking)
+    ) {
+        errors.push(
+            `Order ${metadata.orderId}: tracking number on the slip (${slipTracking}) does not match the label (${label.tracking}).`,
+        );
+    }
+    return errors;
+}
 
-            // Buyer can be either:
-            // 1) "Buyer\nFull Name\n(username)"
-            // 2) "Buyer username" (username only)
-            // 3) Gift order: no "Buyer" label — username appears on the line right after order ID
-            let buyerName = "-";
-            let buyerUsername = "-";
+// Text of the package label checked against the slip: the one carrying the
+// slip's tracking number, else the first package's
+function primaryLabelText(packages, slipTracking) {
+    const texts = packages.map((p) => p.labelText);
+    if (slipTracking && slipTracking !== "-") {
+        const wanted = normalizeTracking(slipTracking);
+        const match = texts.find(
+            (text) => text && normalizeTracking(text).includes(wanted),
+        );
+        if (match) return match;
+    }
+    return texts[0];
+}
 
-            const buyerWithNameMatch = text.match(
-                /Buyer[:\s]+(.*?)\s*\(([^)]+)\)/i,
-            );
+/**
+ * Adds one entry per package to metadata.packages and, when the packages'
+ * labels carry different tracking numbers, lists them all in
+ * metadata.packageTracking.
+ * @param {Object} metadata - result metadata, updated in place
+ * @param {Array<{carrier: string|null, labelText: string|null, labelPages: Object[]}>} packages
+ */
+function applyPackageTracking(metadata, packages) {
+    metadata.packages = packages.map((p, i) => {
+        const label = p.labelText ? analyzeLabelText(p.labelText) : {};
+        return {
+            package: i + 1,
+            carrier: p.carrier || label.carrier || null,
+            tracking: label.tracking || null,
+            trackingValid: Boolean(label.trackingValid),
+            labelPages: p.labelPages,
+        };
+    });
+    const numbers = [
+        ...new Set(metadata.packages.map((p) => p.tracking).filter(Boolean)),
+    ];
+    if (numbers.length > 1) metadata.packageTracking = numbers;
+}
+
+// Pages after the first in a label document: customs declarations
+// (CN22/CN23/CP72) and anything unrecognised print whole, further labels of a
+// multi-piece shipment are cropped and rotated like the first page
+const CUSTOMS_FORM_REGEX = /\bCN\s?2[23]\b|\bCP\s?72\b|customs declaration/i;
+const EXTRA_PAGE_HANDLING = {
+    label: "cropped",
+    customs: "kept",
+    other: "kept",
+};
+
+/**
+ * Tells what an extra page of a label document is.
+ * @param {string} text - the page's text
+ * @returns {"customs"|"label"|"other"}
+ */
+function classifyLabelPage(text) {
+    if (CUSTOMS_FORM_REGEX.test(text)) return "customs";
+    const { tracking, trackingValid } = analyzeLabelText(text);
+    return tracking && trackingValid ? "label" : "other";
+}
 
-            if (buyerWithNameMatch) {
-                buyerName = buyerWithNameMatch[1].trim() || "-";
-                buyerUsername = buyerWithNameMatch[2].trim() || "-";
+/**
+ * Rotates a label page and sets its CropBox from the crop profile, cropping
+ * to the detected content when auto-crop is on and confident.
+ * @param {PDFPage} page - copied page, updated in place
+ * @param {number} pageIndex - the page's index in labelBuffer
+ * @param {Buffer} labelBuffer - the label document the page came from
+ * @param {Object} profile - resolved crop profile
+ * @param {Object} options - processLabels options (autoCrop, autoCropPadding)
+ * @returns {Promise<"auto"|"fixed">} how the crop was chosen
+ */
+async function cropLabelPage(page, pageIndex, labelBuffer, profile, options) {
+    const { width, height } = page.getSize();
+    page.setRotation(degrees(profile.rotation));
+
+    // Handling Half-Page Inputs (Bulk Mode) vs Full Page Inputs (Standard Mode)
+    // A standard Letter page is ~792 points high. Half page is ~396.
+    // If height is small, we assume it's already a single label (half-sheet)
+    // and the label occupies the FULL height.
+    let region = { x: 0, y: 0, width, height };
+    if (height >= 500 && profile.half === "top") {
+        region = { x: 0, y: height / 2, width, height: height / 2 };
+    } else if (height >= 500 && profile.half === "bottom") {
+        region = { x: 0, y: 0, width, height: height / 2 };
+    }
+
+    let box = null;
+    let mode = "fixed";
+    const autoCrop =
+        options.autoCrop !== undefined ? options.autoCrop : profile.autoCrop;
+    if (autoCrop) {
+        // A padding option that isn't a number leaves the profile's
+        const requested = Number(options.autoCropPadding);
+        const padding =
+            options.autoCropPadding !== undefined &&
+            options.autoCropPadding !== "" &&
+            Number.isFinite(requested)
+                ? requested
+                : profile.autoCropPadding;
+        try {
+            const detected = await detectContentBox(labelBuffer, {
+                region,
+                pageIndex,
+            });
+            if (detected.confident) {
+                box = padBox(detected.box, padding, region);
+                mode = "auto";
             } else {
-                const buyerUsernameOnlyMatch = text.match(
-                    /Buyer[:\s]+([^\n\r]+)/i,
+                console.log(
+                    `Auto-crop not confident (${JSON.stringify(detected.counts)}). Using fixed margins.`,
                 );
-                if (buyerUsernameOnlyMatch) {
-                    const usernameOnly = buyerUsernameOnlyMatch[1].trim();
-                    if (usernameOnly) {
-                        buyerName = usernameOnly;
-                        buyerUsername = usernameOnly;
-                    }
-                } else if (isGift) {
-                    // Gift orders: buyer username is on the line immediately after the order ID
-                    // Format: "username (username)" or just "username"
-                    const giftBuyerMatch = text.match(
-                        /Order\s*(?:#|ID)[:\s]*\d+\s*\n\s*(.*?)\s*(?:\(([^)]+)\))?\s*\n/i,
-                    );
-                    if (giftBuyerMatch) {
-                        buyerName = giftBuyerMatch[1].trim() || "-";
-                        buyerUsername = giftBuyerMatch[2]
-                            ? giftBuyerMatch[2].trim()
-                            : buyerName;
-                    }
-                }
-            }
-
-            // If no explicit buyer name exists, mirror username into both fields.
-            if (
-                (!buyerName || buyerName === "-") &&
-                buyerUsername &&
-                buyerUsername !== "-"
-            ) {
-                buyerName = buyerUsername;
             }
-
-            return {
-                id: orderId,
-                type: "etsy",
-                date: formattedDate,
-                tracking: tracking,
-                buyerName: buyerName,
-                buyerUsername: buyerUsername,
-                isGift: isGift,
-            };
+        } catch (e) {
+            console.warn("Auto-crop detection failed. Using fixed margins:", e);
         }
-
-        return null; // Return null if no match found
-    } catch (error) {
-        console.error("Error parsing PDF text:", error);
-        return null;
     }
+    if (!box) {
+        box = visualMarginsToCropBox(region, profile);
+    }
+    page.setCropBox(box.x, box.y, box.width, box.height);
+    return mode;
 }
 
 /**
- * Processes two label PDFs according to the requirements:
- * 1. Takes Label 1 (e.g., UPS), crops it to a fixed area, and rotates it.
- * 2. Takes Label 2.
- * 3. Combines them into a single PDF.
- *
- * @param {Buffer} label1Buffer - Buffer of the first PDF (to be cropped/rotated).
- * @param {Buffer} label2Buffer - Buffer of the second PDF.
- * @param {Object} options - Configuration object { isBulk, position }
- * @returns {Promise<{pdfBytes: Uint8Array, filename: string}>} - The combined PDF bytes and suggested filename.
+ * Crops one shipping label document for processLabels and copies its pages
+ * into mergedPdf without adding them.
+ * @returns {Promise<{croppedPages: PDFPage[], keptPages: PDFPage[], labelPages: Object[], profileName: string, cropMode: string, carrier: string|null, labelText: string|null}>}
  */
-async function processLabels(label1Buffer, label2Buffer, options = {}) {
+async function prepareLabel(mergedPdf, label1Buffer, label2Buffer, options) {
     // Determine config
     let isBulk = options.isBulk || false;
     let position = options.position || "top"; // Default to top/standard behavior
+    let carrier = options.carrier || null;
 
-    // Create a new PDF document
-    const mergedPdf = await PDFDocument.create();
-
-    // Load the source PDFs
     const pdf1 = await PDFDocument.load(label1Buffer);
-    const pdf2 = await PDFDocument.load(label2Buffer);
+
+    // A bulk cell still carries the whole sheet's text; its own comes along
+    const labelText = options.labelText || (await readPdfText(label1Buffer));
 
     // --- Process Label 1 ---
     // Copy the first page of label 1
@@ -192,32 +278,31 @@ async function processLabels(label1Buffer, label2Buffer, options = {}) {
 
             if (targetOrderId) {
                 // 2. Scan Label 1 for ALL Order IDs
-                const data = await pdfParse(label1Buffer);
-                const text = data.text;
-                // Match all Order IDs
-                const matches = [
-                    ...text.matchAll(/Order\s*(?:#|ID)[:\s]*(\d+)/gi),
-                ].map((m) => m[1]);
+                const matches = findOrderIds(labelText);
 
                 if (matches.length > 0) {
-                    // Check if our target ID exists in the label file
-                    const index = matches.indexOf(targetOrderId);
+                    // Pick the half the target ID is printed in
+                    const halves = orderIdsByHalf(
+                        await analyzeDocument(label1Buffer),
+                        0,
+                    );
+                    const inTop = halves.top.includes(targetOrderId);
+                    const inBottom = halves.bottom.includes(targetOrderId);
 
-                    if (index !== -1) {
+                    if (inTop || inBottom) {
                         console.log(
                             `Auto-detected matches in Label File: ${matches.join(", ")}`,
                         );
                         isBulk = true;
-                        // If it's the second match (index 1), assume it's the bottom label
-                        if (index === 1) {
+                        if (inBottom && !inTop) {
                             position = "bottom";
                             console.log(
-                                `Target ${targetOrderId} is match #${index + 1} -> Selecting BOTTOM half.`,
+                                `Target ${targetOrderId} sits in the bottom half -> Selecting BOTTOM half.`,
                             );
                         } else {
                             position = "top";
                             console.log(
-                                `Target ${targetOrderId} is match #${index + 1} -> Selecting TOP half.`,
+                                `Target ${targetOrderId} sits in the top half -> Selecting TOP half.`,
                             );
                         }
                     } else {
@@ -239,7 +324,7 @@ async function processLabels(label1Buffer, label2Buffer, options = {}) {
             } else {
                 // No ID in slip? Can't match.
                 // Check if label has ID anyway to trigger crop?
-                const meta = await extractLabelData(label1Buffer);
+                const meta = parseDocument(labelText);
                 if (meta && meta.id) {
                     isBulk = true;
                     position = "top";
@@ -250,69 +335,148 @@ async function processLabels(label1Buffer, label2Buffer, options = {}) {
         }
     }
 
-    // Rotate first (90 degrees clockwise)
-    page1.setRotation(degrees(90));
-
-    // Crop Logic:
-    let config = DEFAULT_CROP;
-    if (isBulk) {
-        if (position === "bottom") {
-            config = BULK_CROP_BOTTOM;
-        } else {
-            config = BULK_CROP_TOP;
+    // A full sheet still holding two labels has two tracking numbers; only the
+    // carrier can be read from it. Otherwise the tracking number is read from
+    // the first page, the label itself (customs forms and further pieces of a
+    // multi-piece shipment follow it).
+    const labelAnalysis = await analyzeDocument(label1Buffer);
+    const singleLabelText =
+        options.labelText ||
+        (isBulk && height >= 500
+            ? null
+            : (labelAnalysis.pages[0] ?? labelText));
+    if (!carrier) carrier = detectCarrier(labelText);
+
+    // Crop Logic: pick a named profile (explicit → carrier → platform → bulk/default)
+    const { name: profileName, profile } = resolveCropProfile({
+        profile: options.profile,
+        carrier,
+        platform: options.platform,
+        isBulk,
+        position,
+    });
+
+    // A full sheet detected as bulk is cropped to the half its ID sits in
+    const pageProfile =
+        isBulk && height >= 500 ? { ...profile, half: position } : profile;
+    const cropMode = await cropLabelPage(
+        page1,
+        0,
+        label1Buffer,
+        pageProfile,
+        options,
+    );
+
+    console.log(
+        `Applied ${cropMode} CropBox using profile "${profileName}"${carrier ? ` (carrier: ${carrier})` : ""}.`,
+    );
+
+    const croppedPages = [page1];
+
+    // --- Further pages of Label 1 ---
+    // An auto-detected sheet's other pages hold other orders' labels
+    const labelPages = [{ page: 1, kind: "label", handling: "cropped" }];
+    const extraIndices = pdf1.getPageIndices().slice(1);
+    const keptPages = [];
+    if (extraIndices.length > 0 && isBulk) {
+        extraIndices.forEach((i) =>
+            labelPages.push({
+                page: i + 1,
+                kind: "other",
+                handling: "skipped",
+            }),
+        );
+    } else if (extraIndices.length > 0) {
+        const extraPages = await mergedPdf.copyPages(pdf1, extraIndices);
+        for (let n = 0; n < extraPages.length; n++) {
+            const pageIndex = extraIndices[n];
+            const kind = classifyLabelPage(
+                labelAnalysis.pages[pageIndex] || "",
+            );
+            const handling = EXTRA_PAGE_HANDLING[kind];
+            if (handling === "cropped") {
+                await cropLabelPage(
+                    extraPages[n],
+                    pageIndex,
+                    label1Buffer,
+                    profile,
+                    options,
+                );
+                croppedPages.push(extraPages[n]);
+            } else {
+                keptPages.push(extraPages[n]);
+            }
+            labelPages.push({ page: pageIndex + 1, kind, handling });
         }
+        console.log(
+            `Label file has ${extraIndices.length + 1} pages: ${labelPages.map((p) => `${p.page} ${p.kind} (${p.handling})`).join(", ")}`,
+        );
     }
 
-    // Fallback for old config structure if needed (though we updated both just now)
-    const visualTopMargin =
-        config.visualTopMargin !== undefined
-            ? config.visualTopMargin
-            : config.visualTopBotMargin || 0;
-    const visualBottomMargin =
-        config.visualBottomMargin !== undefined
-            ? config.visualBottomMargin
-            : config.visualTopBotMargin || 0;
-    const { visualRightMargin, visualLeftMargin } = config;
+    return {
+        croppedPages,
+        keptPages,
+        labelPages,
+        profileName,
+        cropMode,
+        carrier,
+        labelText: singleLabelText,
+    };
+}
 
-    // Handling Half-Page Inputs (Bulk Mode) vs Full Page Inputs (Standard Mode)
-    // A standard Letter page is ~792 points high. Half page is ~396.
-    // If height is small, we assume it's already a single label (half-sheet).
-    if (height < 500) {
-        // Half-Sheet logic: The label occupies the FULL height (since we already cropped/split it).
-        // Rotate 90deg means:
-        // Top Edge -> Right Edge
-        // Bot Edge -> Left Edge
-        // Left Edge -> Top
-        // Right Edge -> Bot
-
-        // We want to crop margins around the content.
-        // With SetCropBox(x, y, w, h) in *unrotated* space:
-        // x,y is bottom-left.
-        // Visual Top = Unrotated Left (x) -> Remove visualTopMargin
-        // Visual Bottom = Unrotated Right (x+w) -> Remove visualBottomMargin
-        // Visual Left = Unrotated Bottom (y) -> Remove visualLeftMargin
-        // Visual Right = Unrotated Top (y+h) -> Remove visualRightMargin
-
-        page1.setCropBox(
-            visualTopMargin, // x
-            visualLeftMargin, // y (start near bottom)
-            width - visualTopMargin - visualBottomMargin, // w
-            height - visualLeftMargin - visualRightMargin, // h
-        );
-    } else {
-        // Standard Full-Page Logic (Label is in Top Half)
-        page1.setCropBox(
-            visualTopMargin, // x (Visual Top / Unrotated Left)
-            height / 2 + visualLeftMargin, // y (Visual Left / Unrotated Bottom of top half?)
-            width - visualTopMargin - visualBottomMargin, // width
-            height / 2 - visualLeftMargin - visualRightMargin, // height
-        );
-    }
+/**
+ * Processes two label PDFs according to the requirements:
+ * 1. Takes Label 1 (e.g., UPS), crops it to a fixed area, and rotates it.
+ *    Further pages of Label 1 are kept: more labels of a multi-piece shipment
+ *    are cropped the same way, customs forms and other pages print whole
+ *    after them (metadata.labelPages lists what happened to each page).
+ * 2. Takes Label 2.
+ * 3. Combines them into a single PDF.
+ *
+ * @param {Buffer|Buffer[]} label1Buffer - Buffer of the first PDF (to be cropped/rotated),
+ *   or one label PDF per package of a multi-package order. Their label pages
+ *   come first, in package order, then their customs and other pages.
+ * @param {Buffer} label2Buffer - Buffer of the second PDF.
+ * @param {Object} options - Configuration object { isBulk, position, profile, carrier, platform, labelText }
+ *   labelText: text of a bulk cell's label, read from the sheet, since the
+ *   cell's PDF still holds the whole sheet's text.
+ *   profile: crop profile name (or profile object) overriding automatic selection.
+ *   carrier/platform: used to pick a carrier- or platform-specific profile; the
+ *   carrier is detected from the label text when not given.
+ *   autoCrop/autoCropPadding: override the profile's content-aware cropping.
+ *   outputMode: "letter" (default) or "4x6" to lay every page out on 4x6 thermal stock.
+ *   outputFormat: "pdf" (default) or "zpl" to also return the label pages (with any customs forms) as ZPL at options.dpi.
+ * The label's carrier, service and tracking number are added to metadata; errors
+ * lists problems worth showing the user (e.g. a slip/label tracking mismatch).
+ * metadata.packageCount is the number of label PDFs; with more than one,
+ * metadata.packages describes each and metadata.packageTracking lists their
+ * tracking numbers when they differ.
+ * @returns {Promise<{pdfBytes: Uint8Array, filename: string, metadata: Object, errors: string[], zpl?: string}>} - The combined PDF bytes and suggested filename.
+ */
+async function processLabels(label1Buffer, label2Buffer, options = {}) {
+    // One label document per package of the order
+    const labelBuffers = Array.isArray(label1Buffer)
+        ? label1Buffer
+        : [label1Buffer];
 
-    console.log(`Applied CropBox with specific margins.`);
+    // Create a new PDF document
+    const mergedPdf = await PDFDocument.create();
+    const pdf2 = await PDFDocument.load(label2Buffer);
 
-    // Add page 1
-    mergedPdf.addPage(page1);
+    const packages = [];
+    for (const labelBuffer of labelBuffers) {
+        packages.push(
+            await prepareLabel(mergedPdf, labelBuffer, label2Buffer, options),
+        );
+    }
+    // Cropped labels first, so 4x6 and ZPL output treat them as labels
+    const croppedPages = packages.flatMap((p) => p.croppedPages);
+    const keptPages = packages.flatMap((p) => p.keptPages);
+    croppedPages.forEach((page) => mergedPdf.addPage(page));
+    keptPages.forEach((page) => mergedPdf.addPage(page));
+    const labelPageCount = croppedPages.length;
+    const [first] = packages;
+    const carrier = first.carrier;
 
     // --- Process Label 2 ---
     // Copy all pages of label 2
@@ -329,12 +493,11 @@ async function processLabels(label1Buffer, label2Buffer, options = {}) {
         date: "-",
         tracking: "-",
         type: "unknown",
+        items: [],
     };
 
     if (orderInfo) {
-        if (orderInfo.type === "tiktok" || orderInfo.type === "etsy") {
-            filename = `${orderInfo.id}`;
-        }
+        filename = `${orderInfo.id}`;
         metadata = {
             orderId: orderInfo.id,
             date: orderInfo.date,
@@ -342,148 +505,140 @@ async function processLabels(label1Buffer, label2Buffer, options = {}) {
             type: orderInfo.type,
             buyerName: orderInfo.buyerName || "-",
             buyerUsername: orderInfo.buyerUsername || "-",
+            items: orderInfo.items,
+            shop: orderInfo.shop,
         };
     }
+    metadata.cropProfile = first.profileName;
+    metadata.cropMode = first.cropMode;
+    metadata.labelPages = first.labelPages;
+    metadata.packageCount = packages.length;
+    if (carrier) metadata.carrier = carrier;
+    const errors = applyLabelTracking(
+        metadata,
+        primaryLabelText(packages, metadata.tracking),
+    );
+    if (packages.length > 1) applyPackageTracking(metadata, packages);
 
     // Return the merged PDF bytes, filename and metadata
-    const pdfBytes = await mergedPdf.save();
-    return { pdfBytes, filename, metadata };
+    let pdfBytes = await mergedPdf.save();
+    if (options.outputMode === "4x6") {
+        pdfBytes = await normalizeTo4x6(pdfBytes, { labelPageCount });
+    }
+    const zpl = await buildZpl(
+        pdfBytes,
+        options,
+        labelPageCount + keptPages.length,
+    );
+    return { pdfBytes, filename, metadata, errors, ...(zpl && { zpl }) };
 }
 
 /**
- * Splits a PDF page into two halves (Top/Bottom), extracts their Order IDs,
- * and returns the buffers as "simulated single label files".
+ * Order IDs printed in the top and bottom half of a page, by where their text
+ * sits on the page rather than the order it appears in the content stream.
+ * @param {Object} analysis - from analyzeDocument
+ * @param {number} pageIndex
+ * @returns {{top: string[], bottom: string[]}} distinct IDs per half
+ */
+function orderIdsByHalf(analysis, pageIndex) {
+    const view = analysis.pageViews[pageIndex];
+    if (!view) return { top: [], bottom: [] };
+    const [x1, y1, x2, y2] = view;
+    const cells = layoutCells("1x2", {
+        x: x1,
+        y: y1,
+        width: x2 - x1,
+        height: y2 - y1,
+    });
+    const [top, bottom] = orderIdsInCells(analysis, pageIndex, cells);
+    return { top, bottom };
+}
+
+/**
+ * Splits each page of a bulk label sheet into label cells (see src/layouts.js),
+ * assigns each cell the Order ID printed inside it, and returns the cells as
+ * "simulated single label files".
  *
  * @param {Buffer} buffer - The Bulk Label PDF
- * @returns {Promise<Array<{id: string, buffer: Buffer}>>}
+ * @param {Object} [options]
+ * @param {string} [options.layout] - "1x1", "1x2", "2x2" or "3x1"; detected
+ *   from the ID positions when missing
+ * Each cell's sourceHash hashes its own text, so the ledger can tell whether
+ * this order's label changed when the sheet is downloaded again.
+ * @returns {Promise<Array<{id: string, buffer: Buffer, text: string, sourceHash: string, position: string, layout: string, cropProfile: string}>>}
  */
-async function extractBulkLabels(buffer) {
+async function extractBulkLabels(buffer, options = {}) {
     // Check for exclusion marker first (User detected confusion)
     if (await isSlip(buffer)) {
         console.log(
-            "File detected as Slip via 'rubyvibeco.etsy.com' marker. Skipping label extraction.",
+            "File detected as Slip via a shop's slip marker. Skipping label extraction.",
         );
         return [];
     }
 
     const pdfDoc = await PDFDocument.load(buffer);
-    const pageCount = pdfDoc.getPageCount();
+    const analysis = await analyzeDocument(buffer);
+    const pageBoxes = pdfDoc.getPages().map((page) => page.getMediaBox());
+    const layout = isLabelLayout(options.layout)
+        ? options.layout
+        : detectLabelLayout(analysis, pageBoxes);
+    console.log(
+        `Bulk label layout: ${layout}${layout === options.layout ? "" : " (auto-detected)"}`,
+    );
     const extractedLabels = [];
 
-    // Helper to extract all Order IDs from a page's text
-    // We assume the text order corresponds to visual top->bottom order
-    const getPageIds = async (pageBuffer) => {
-        try {
-            const data = await pdfParse(pageBuffer);
-            const text = data.text;
-            // Find all matches
-            // Matches "Order #12345", "Order #: 12345", "Order ID: 12345"
-            // User example: "Order #: 3953698770"
-            // Using \d+ to ensure we don't capture trailing text like "Buyer"
-            const regex = /Order\s*(?:#|ID)[:\s]*(\d+)/gi;
-            const matches = [...text.matchAll(regex)];
-            return matches.map((m) => m[1]);
-        } catch (e) {
-            return [];
-        }
-    };
-
-    for (let i = 0; i < pageCount; i++) {
-        const page = pdfDoc.getPage(i);
-        const { width, height } = page.getSize();
-
-        // 1. Create Buffers for Physical Splits straight away
-        // This helps us isolate text extraction if needed
-        const singlePageDoc = await PDFDocument.create();
-        const [copiedPage] = await singlePageDoc.copyPages(pdfDoc, [i]);
-        singlePageDoc.addPage(copiedPage);
-        const pageBuffer = Buffer.from(await singlePageDoc.save());
-
-        // --- PREPARE SPLIT BUFFERS ---
-        // Top Half
-        const topDoc = await PDFDocument.create();
-        const [embeddedTop] = await topDoc.embedPdf(pageBuffer);
-        const topPage = topDoc.addPage([width, height / 2]);
-        topPage.drawPage(embeddedTop, { x: 0, y: -height / 2, width, height });
-        const topBuffer = Buffer.from(await topDoc.save());
-
-        // Bottom Half
-        const botDoc = await PDFDocument.create();
-        const [embeddedBot] = await botDoc.embedPdf(pageBuffer);
-        const botPage = botDoc.addPage([width, height / 2]);
-        botPage.drawPage(embeddedBot, { x: 0, y: 0, width, height });
-        const botBuffer = Buffer.from(await botDoc.save());
-
-        // 2. Scan for IDs
-        // Strategy: Scan the whole page first to know truth.
-        // Then scan splits to confirm location if possible.
-        const pageIds = await getPageIds(pageBuffer);
-        let topIds = await getPageIds(topBuffer);
-        let botIds = await getPageIds(botBuffer);
-
-        console.log(`Page ${i + 1}: Found Global IDs: ${pageIds.join(", ")}`);
-        console.log(`   Split Top IDs: ${topIds.join(", ")}`);
-        console.log(`   Split Bot IDs: ${botIds.join(", ")}`);
-
-        // Heuristic Reconciliation
-        let finalTopId = null;
-        let finalBotId = null;
-
-        // TOP LOGIC
-        if (topIds.length > 0) {
-            finalTopId = topIds[0];
-        } else if (pageIds.length > 0) {
-            // Fallback: First ID on page is likely Top
-            finalTopId = pageIds[0];
-            console.log(
-                `   Fallback: Assigned Top ID ${finalTopId} from global list.`,
-            );
-        }
+    for (let i = 0; i < pageBoxes.length; i++) {
+        // Each Order ID belongs to the cell its text sits in. A cell holding
+        // several IDs, or an ID seen in more than one cell, is skipped rather
+        // than guessed: a wrongly assigned cell ships the wrong package.
+        const cells = layoutCells(layout, pageBoxes[i]);
+        const idsPerCell = orderIdsInCells(analysis, i, cells);
+        console.log(
+            `Page ${i + 1}: ${cells.map((c, n) => `${c.position}: ${idsPerCell[n].join(", ") || "-"}`).join(" | ")}`,
+        );
 
-        // BOTTOM LOGIC
-        if (botIds.length > 0) {
-            finalBotId = botIds[0];
-        } else if (pageIds.length >= 2) {
-            // Fallback: Second ID on page is likely Bottom
-            finalBotId = pageIds[1];
-            console.log(
-                `   Fallback: Assigned Bot ID ${finalBotId} from global list.`,
+        for (const cell of cells) {
+            const ids = idsPerCell[cell.index];
+            if (ids.length === 0) continue;
+            if (ids.length > 1) {
+                console.warn(
+                    `   Skipping ${cell.position} cell: it holds several Order IDs (${ids.join(", ")}).`,
+                );
+                continue;
+            }
+            const elsewhere = idsPerCell.some(
+                (other, n) => n !== cell.index && other.includes(ids[0]),
             );
-        } else if (pageIds.length === 1 && topIds.length === 0) {
-            // Edge case: 1 ID found globally. Top split found nothing. Bot split found nothing.
-            // We assigned it to Top above.
-            // Do nothing for Bot.
-        }
-
-        // Avoid duplication if logic assigns same ID to both (unlikely given checks, but possible if text matches weirdly)
-        if (finalTopId && finalBotId && finalTopId === finalBotId) {
-            // If we have 2 distinct page IDs, force them.
-            if (pageIds.length >= 2) {
-                finalTopId = pageIds[0];
-                finalBotId = pageIds[1];
-            } else {
-                // Only 1 ID exists actually. It shouldn't be bottom.
-                finalBotId = null;
+            if (elsewhere) {
+                console.warn(
+                    `   Skipping ${cell.position} cell: Order ${ids[0]} appears in more than one cell.`,
+                );
+                continue;
             }
-        }
 
-        // 3. Register Labels
-        if (finalTopId) {
-            extractedLabels.push({
-                id: finalTopId,
-                buffer: topBuffer,
-                position: "top",
+            // The cell buffer only cuts the output; IDs came from the positions
+            const { box } = cell;
+            const cellDoc = await PDFDocument.create();
+            const [embedded] = await cellDoc.embedPdf(pdfDoc, [i]);
+            const cellPage = cellDoc.addPage([box.width, box.height]);
+            cellPage.drawPage(embedded, {
+                x: -box.x,
+                y: -box.y,
+                width: pageBoxes[i].width,
+                height: pageBoxes[i].height,
             });
-            console.log(`   -> Registered Top: ${finalTopId}`);
-        }
-
-        if (finalBotId) {
+            // The cell buffer embeds the whole page, text included
+            const text = regionText(analysis, i, box);
             extractedLabels.push({
-                id: finalBotId,
-                buffer: botBuffer,
-                position: "bottom",
+                id: ids[0],
+                buffer: Buffer.from(await cellDoc.save()),
+                text,
+                sourceHash: contentHash(text),
+                position: cell.position,
+                layout,
+                cropProfile: cell.cropProfile,
             });
-            console.log(`   -> Registered Bottom: ${finalBotId}`);
+            console.log(`   -> Registered ${cell.position}: ${ids[0]}`);
         }
     }
 
@@ -494,24 +649,20 @@ async function extractBulkLabels(buffer) {
  * Splits a PDF into grouped Slip PDFs based on detected Order IDs.
  *
  * @param {Buffer} buffer - The Bulk Slips PDF
- * @returns {Promise<Array<{id: string, buffer: Buffer, originalName: string}>>}
+ * @returns {Promise<Array<{id: string, buffer: Buffer, originalName: string, sourceHash: string}>>}
+ *   sourceHash hashes the text of the order's own pages
  */
 async function extractBulkSlips(buffer, originalFilename) {
     const pdfDoc = await PDFDocument.load(buffer);
     const pageCount = pdfDoc.getPageCount();
+    const { pages: pageTexts } = await analyzeDocument(buffer);
 
     // Map of OrderID -> Array of Page Indices
     const orderPages = {};
     let currentOrderId = null;
 
     for (let i = 0; i < pageCount; i++) {
-        // Extract text from individual page
-        const singleDoc = await PDFDocument.create();
-        const [page] = await singleDoc.copyPages(pdfDoc, [i]);
-        singleDoc.addPage(page);
-        const singleBuffer = Buffer.from(await singleDoc.save());
-
-        const meta = await extractLabelData(singleBuffer);
+        const meta = parseDocument(pageTexts[i] || "");
 
         if (meta && meta.id) {
             currentOrderId = meta.id;
@@ -537,6 +688,9 @@ async function extractBulkSlips(buffer, originalFilename) {
             id: id,
             buffer: slipBuffer,
             originalName: `${id}_slip.pdf`,
+            sourceHash: contentHash(
+                indices.map((i) => pageTexts[i] || "").join("\n"),
+            ),
         });
         console.log(`Grouped ${indices.length} pages for Slip ID: ${id}`);
     }
@@ -551,79 +705,73 @@ async function extractBulkSlips(buffer, originalFilename) {
  * @returns {Promise<string[]>} Array of found Order IDs
  */
 async function getIdsFromPdf(buffer) {
-    try {
-        const data = await pdfParse(buffer);
-        const text = data.text;
-        // Match all Order IDs
-        const matches = [...text.matchAll(/Order\s*(?:#|ID)[:\s]*(\d+)/gi)].map(
-            (m) => m[1],
-        );
-        return matches;
-    } catch (error) {
-        console.error("Error scanning PDF for IDs:", error);
-        return [];
-    }
+    return (await analyzeDocument(buffer)).orderIds;
 }
 
+// Slips that drive the label/slip pairing in /merge and folder scans: Etsy's,
+// and Amazon's and eBay's, which go through the same pipeline. TikTok and
+// Shopify slips have pipelines of their own and don't count here.
+const PAIR_SLIP_TYPES = ["etsy", "amazon", "ebay"];
+
+/**
+ * Returns true if the PDF is an Etsy, Amazon or eBay packing slip.
+ * @param {Buffer} buffer
+ * @returns {Promise<boolean>}
+ */
 async function isSlip(buffer) {
-    try {
-        const data = await pdfParse(buffer);
-        return data.text.includes("rubyvibeco.etsy.com");
-    } catch (e) {
-        return false;
-    }
+    const { slipTypes } = await analyzeDocument(buffer);
+    return slipTypes.some((type) => PAIR_SLIP_TYPES.includes(type));
 }
 
 /**
- * Returns true if the PDF contains the TikTok packing-slip marker "app.rubyvibeco.com".
+ * Returns true if the PDF contains a shop's TikTok packing-slip marker.
  * Used to identify TikTok packing slips vs shipping labels.
  * @param {Buffer} buffer
  * @returns {Promise<boolean>}
  */
 async function hasItemsText(buffer) {
-    try {
-        const data = await pdfParse(buffer);
-        return data.text.includes("app.rubyvibeco.com");
-    } catch (e) {
-        return false;
-    }
+    return (await analyzeDocument(buffer)).slipTypes.includes("tiktok");
+}
+
+// ZPL for the leading label pages when options.outputFormat is "zpl", else null.
+// ./zpl is required here: it loads pdfjs-dist and the native canvas, which
+// PDF-only runs never need.
+async function buildZpl(pdfBytes, options, labelPageCount) {
+    if (options.outputFormat !== "zpl") return null;
+    const { pdfToZpl } = require("./zpl");
+    return pdfToZpl(pdfBytes, { dpi: options.dpi, labelPageCount });
 }
 
 /**
  * Processes a Shopify bulk export PDF that interleaves shipping labels and packing slips.
  * Each order = 1 shipping label page + 1-N packing slip pages.
- * Packing slips end with the text "app.rubyvibeco.com".
+ * Packing slips end with a shop's Shopify end-of-order marker (see getShops).
  * Order ID is extracted from packing slip pages only (page 0 of each order is the shipping label).
  * @param {Buffer} buffer
+ * @param {Object} options - { outputMode: "letter" | "4x6", outputFormat: "pdf" | "zpl", dpi }
  * @returns {Promise<{results: Array, errors: Array}>}
  */
-async function processShopifyBulk(buffer) {
+async function processShopifyBulk(buffer, options = {}) {
     const results = [];
     const errors = [];
     const pdfDoc = await PDFDocument.load(buffer);
     const pageCount = pdfDoc.getPageCount();
 
-    // Group pages into per-order blocks; each block ends when "app.rubyvibeco.com" appears
+    // Group pages into per-order blocks; each block ends at an end-of-order marker
     const orders = [];
     let currentGroup = [];
 
-    for (let i = 0; i < pageCount; i++) {
-        const singleDoc = await PDFDocument.create();
-        const [copiedPage] = await singleDoc.copyPages(pdfDoc, [i]);
-        singleDoc.addPage(copiedPage);
-        const singleBuffer = Buffer.from(await singleDoc.save());
+    const { pages: pageTexts } = await analyzeDocument(buffer);
+    const endMarkers = shopMarkers("shopify")
+        .map((m) => `"${m}"`)
+        .join(", ");
 
-        let pageText = "";
-        try {
-            const data = await pdfParse(singleBuffer);
-            pageText = data.text || "";
-        } catch (e) {
-            // ignore per-page parse errors
-        }
+    for (let i = 0; i < pageCount; i++) {
+        const pageText = pageTexts[i] || "";
 
         currentGroup.push({ pageIndex: i, text: pageText });
 
-        if (pageText.includes("app.rubyvibeco.com")) {
+        if (isPackingSlip(pageText, { types: ["shopify"] })) {
             orders.push(currentGroup);
             currentGroup = [];
         }
@@ -631,7 +779,7 @@ async function processShopifyBulk(buffer) {
 
     if (currentGroup.length > 0) {
         errors.push(
-            `Warning: ${currentGroup.length} trailing page(s) had no "app.rubyvibeco.com" end marker and were skipped.`,
+            `Warning: ${currentGroup.length} trailing page(s) had no end-of-order marker (${endMarkers}) and were skipped.`,
         );
     }
 
@@ -639,7 +787,7 @@ async function processShopifyBulk(buffer) {
         return {
             results: [],
             errors: [
-                'No orders found. Ensure each packing slip ends with "app.rubyvibeco.com".',
+                `No orders found. Ensure each packing slip ends with a shop's end-of-order marker (${endMarkers}).`,
             ],
         };
     }
@@ -650,11 +798,11 @@ async function processShopifyBulk(buffer) {
         const slipPages = group.slice(1);
         const combinedSlipText = slipPages.map((p) => p.text).join("\n");
 
-        // Match "Order #1234", "Order 216459429", "Order #1234-A", etc.
-        const orderIdMatch = combinedSlipText.match(/Order\s+(#[\w-]+|\d+)/i);
-        const orderId = orderIdMatch ? orderIdMatch[1].trim() : null;
+        const orderInfo = parseDocument(combinedSlipText, {
+            types: ["shopify"],
+        });
 
-        if (!orderId) {
+        if (!orderInfo) {
             errors.push(
                 `Order ${orderIdx + 1}: Could not find an Order ID in packing slip text. Skipping.`,
             );
@@ -666,20 +814,31 @@ async function processShopifyBulk(buffer) {
         const copiedPages = await mergedDoc.copyPages(pdfDoc, pageIndices);
         copiedPages.forEach((p) => mergedDoc.addPage(p));
 
-        const pdfBytes = await mergedDoc.save();
+        let pdfBytes = await mergedDoc.save();
+        if (options.outputMode === "4x6") {
+            pdfBytes = await normalizeTo4x6(pdfBytes, { labelPageCount: 1 });
+        }
+        const zpl = await buildZpl(pdfBytes, options, 1);
+        const metadata = {
+            orderId: orderInfo.id,
+            date: orderInfo.date,
+            tracking: orderInfo.tracking,
+            type: orderInfo.type,
+            buyerName: orderInfo.buyerName,
+            buyerUsername: orderInfo.buyerUsername,
+            items: orderInfo.items,
+            shop: orderInfo.shop,
+        };
+        errors.push(...applyLabelTracking(metadata, group[0].text));
         results.push({
             pdfBase64: Buffer.from(pdfBytes).toString("base64"),
-            filename: orderId,
-            metadata: {
-                orderId,
-                date: "-",
-                tracking: "-",
-                type: "shopify",
-                buyerName: "-",
-                buyerUsername: "-",
-            },
+            ...(zpl && { zpl }),
+            filename: orderInfo.id,
+            metadata,
+            // The order's own pages, for the ledger's same-sources check
+            sourceHash: contentHash(group.map((p) => p.text).join("\n")),
         });
-        console.log(`Shopify: Order ${orderId} → ${group.length} page(s)`);
+        console.log(`Shopify: Order ${orderInfo.id} → ${group.length} page(s)`);
     }
 
     return { results, errors };
@@ -692,9 +851,15 @@ async function processShopifyBulk(buffer) {
  * @param {Buffer} file1Buffer
  * @param {Buffer} file2Buffer
  * @param {string} orderId
- * @returns {Promise<{pdfBytes: Uint8Array, filename: string, metadata: Object}>}
+ * @param {Object} options - { outputMode: "letter" | "4x6", outputFormat: "pdf" | "zpl", dpi }
+ * @returns {Promise<{pdfBytes: Uint8Array, filename: string, metadata: Object, errors: string[], zpl?: string}>}
  */
-async function processTikTokPair(file1Buffer, file2Buffer, orderId) {
+async function processTikTokPair(
+    file1Buffer,
+    file2Buffer,
+    orderId,
+    options = {},
+) {
     const mergedPdf = await PDFDocument.create();
     const pdf1 = await PDFDocument.load(file1Buffer);
     const pdf2 = await PDFDocument.load(file2Buffer);
@@ -705,18 +870,48 @@ async function processTikTokPair(file1Buffer, file2Buffer, orderId) {
     const pages2 = await mergedPdf.copyPages(pdf2, pdf2.getPageIndices());
     pages2.forEach((p) => mergedPdf.addPage(p));
 
-    const pdfBytes = await mergedPdf.save();
+    let pdfBytes = await mergedPdf.save();
+    if (options.outputMode === "4x6") {
+        // Every page of the label file is label; the slip follows
+        pdfBytes = await normalizeTo4x6(pdfBytes, {
+            labelPageCount: pages1.length,
+        });
+    }
+    const zpl = await buildZpl(pdfBytes, options, pages1.length);
+    const labelText = await readPdfText(file1Buffer);
+    const slipInfo = parseDocument(await readPdfText(file2Buffer), {
+        types: ["tiktok"],
+    });
+    const labelInfo = parseDocument(labelText, { types: ["tiktok"] });
+    // The slip's fields win; the label fills in what the slip doesn't print
+    const field = (key) =>
+        [slipInfo, labelInfo]
+            .map((info) => info && info[key])
+            .find((value) => value && value !== "-") || "-";
+    const metadata = {
+        orderId,
+        date: field("date"),
+        tracking: slipInfo ? slipInfo.tracking : "-",
+        type: "tiktok",
+        buyerName: field("buyerName"),
+        buyerUsername: field("buyerUsername"),
+        items: slipInfo ? slipInfo.items : [],
+        shop: slipInfo ? slipInfo.shop : null,
+    };
+    // Like Etsy: either buyer field mirrors the other when only one is known
+    if (metadata.buyerName === "-") metadata.buyerName = metadata.buyerUsername;
+    if (metadata.buyerUsername === "-") {
+        metadata.buyerUsername = metadata.buyerName;
+    }
+    const carrier = field("carrier");
+    if (carrier !== "-") metadata.carrier = carrier;
+    const errors = applyLabelTracking(metadata, labelText);
     return {
         pdfBytes,
+        ...(zpl && { zpl }),
         filename: `#${orderId}`,
-        metadata: {
-            orderId,
-            date: "-",
-            tracking: "-",
-            type: "tiktok",
-            buyerName: "-",
-            buyerUsername: "-",
-        },
+        metadata,
+        errors,
     };
 }
 
@@ -730,4 +925,5 @@ module.exports = {
     getIdsFromPdf,
     isSlip,
     hasItemsText,
+    detectCarrier,
 };
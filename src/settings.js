@@ -0,0 +1,452 @@
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const path = require("path");
+
+// Settings live next to server.js unless SETTINGS_FILE points elsewhere
+const SETTINGS_FILE =
+    process.env.SETTINGS_FILE || path.join(__dirname, "..", "settings.json");
+
+// --- BUILT-IN CROP PROFILES ---
+// These mirror the margins that used to be hardcoded in processor.js and are
+// always available, even when settings.json is missing or was edited by hand.
+// Margins are "visual" (as seen after rotation), in PDF points.
+// half: which part of a full Letter page holds the label ("top", "bottom", "full").
+// Pages shorter than 500pt are treated as an already split label and use the full page.
+// autoCrop: crop to the detected content (plus autoCropPadding) instead of the
+// fixed margins; the margins are still used when detection is not confident.
+const BUILT_IN_CROP_PROFILES = {
+    default: {
+        visualTopMargin: 40,
+        visualBottomMargin: 40,
+        visualLeftMargin: 10,
+        visualRightMargin: 40,
+        rotation: 90,
+        half: "top",
+        autoCrop: false,
+        autoCropPadding: 8,
+        carriers: [],
+        platforms: [],
+    },
+    // "Right Half" (Top Label) - Works well with default bulk settings
+    "bulk-top": {
+        visualTopMargin: 70,
+        visualBottomMargin: 70,
+        visualLeftMargin: 27,
+        visualRightMargin: 64,
+        rotation: 90,
+        half: "top",
+        autoCrop: false,
+        autoCropPadding: 8,
+        carriers: [],
+        platforms: [],
+    },
+    // "Left Half" (Bottom Label) - Needs less cropping on Left/Right
+    // Bulk halves arrive already split (< 500pt); a full sheet auto-detected
+    // as bulk is cropped to the half holding the order's ID, whatever "half" says.
+    "bulk-bottom": {
+        visualTopMargin: 70,
+        visualBottomMargin: 70,
+        visualLeftMargin: 64,
+        visualRightMargin: 28,
+        rotation: 90,
+        half: "top",
+        autoCrop: false,
+        autoCropPadding: 8,
+        carriers: [],
+        platforms: [],
+    },
+    // Cells of the other bulk layouts (see src/layouts.js). Cell sizes vary by
+    // export, so these crop to the detected content and keep small margins as
+    // the fallback.
+    "bulk-full": {
+        visualTopMargin: 10,
+        visualBottomMargin: 10,
+        visualLeftMargin: 10,
+        visualRightMargin: 10,
+        rotation: 0,
+        half: "full",
+        autoCrop: true,
+        autoCropPadding: 8,
+        carriers: [],
+        platforms: [],
+    },
+    "bulk-grid": {
+        visualTopMargin: 10,
+        visualBottomMargin: 10,
+        visualLeftMargin: 10,
+        visualRightMargin: 10,
+        rotation: 0,
+        half: "full",
+        autoCrop: true,
+        autoCropPadding: 6,
+        carriers: [],
+        platforms: [],
+    },
+    "bulk-strip": {
+        visualTopMargin: 8,
+        visualBottomMargin: 8,
+        visualLeftMargin: 6,
+        visualRightMargin: 6,
+        rotation: 0,
+        half: "full",
+        autoCrop: true,
+        autoCropPadding: 4,
+        carriers: [],
+        platforms: [],
+    },
+};
+
+// --- SHOPS ---
+// Text that tells one shop's documents apart, used by every slip classifier.
+// Applies while settings.json has no "shops" list, so a fresh install keeps
+// recognizing the original shop.
+// slipMarkers: per marketplace ("etsy", "tiktok"), text printed only on the
+// shop's packing slips. shopifyEndMarkers: text ending each order's slip in a
+// Shopify bulk export. outputDir: folder for the shop's merged files (the
+// global output folder when empty).
+const DEFAULT_SHOPS = [
+    {
+        name: "rubyvibeco",
+        slipMarkers: {
+            etsy: ["rubyvibeco.etsy.com"],
+            tiktok: ["app.rubyvibeco.com"],
+        },
+        shopifyEndMarkers: ["app.rubyvibeco.com"],
+        outputDir: null,
+    },
+];
+const SHOP_MARKETPLACES = ["etsy", "tiktok"];
+
+const VALID_ROTATIONS = [0, 90, 180, 270];
+const VALID_HALVES = ["top", "bottom", "full"];
+
+let settings = null;
+
+function readSettingsFile() {
+    try {
+        if (!fs.existsSync(SETTINGS_FILE)) return {};
+        const raw = fs.readFileSync(SETTINGS_FILE, "utf8");
+        return raw.trim() ? JSON.parse(raw) : {};
+    } catch (err) {
+        console.warn(
+            `Could not read settings from ${SETTINGS_FILE}:`,
+            err.message,
+        );
+        return {};
+    }
+}
+
+/**
+ * Returns the in-memory settings, loading settings.json on first use.
+ * @returns {Object}
+ */
+function getSettings() {
+    if (!settings) {
+        settings = readSettingsFile();
+        if (
+            !settings.cropProfiles ||
+            typeof settings.cropProfiles !== "object"
+        ) {
+            settings.cropProfiles = {};
+        }
+    }
+    return settings;
+}
+
+/**
+ * Drops the in-memory settings so the next read loads settings.json again
+ * (worker threads call this after the server saves a change).
+ */
+function reloadSettings() {
+    settings = null;
+}
+
+async function saveSettings() {
+    const current = getSettings();
+    await fsPromises.writeFile(SETTINGS_FILE, JSON.stringify(current, null, 4));
+}
+
+/**
+ * Validates and fills in a crop profile. Accepts the legacy
+ * "visualTopBotMargin" field for top/bottom margins.
+ * @param {Object} input
+ * @returns {Object} normalized profile
+ * @throws {Error} when a field is out of range
+ */
+function normalizeCropProfile(input = {}) {
+    const base = BUILT_IN_CROP_PROFILES.default;
+    const toNumber = (value, fallback, field) => {
+        if (value === undefined || value === null || value === "") {
+            return fallback;
+        }
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < 0) {
+            throw new Error(`${field} must be a non-negative number`);
+        }
+        return n;
+    };
+    const toList = (value) => {
+        if (!value) return [];
+        const list = Array.isArray(value) ? value : String(value).split(",");
+        return list.map((v) => String(v).trim().toLowerCase()).filter(Boolean);
+    };
+
+    const topBot = input.visualTopBotMargin;
+    const rotation = toNumber(input.rotation, base.rotation, "rotation");
+    if (!VALID_ROTATIONS.includes(rotation)) {
+        throw new Error(
+            `rotation must be one of ${VALID_ROTATIONS.join(", ")}`,
+        );
+    }
+    const half = input.half || base.half;
+    if (!VALID_HALVES.includes(half)) {
+        throw new Error(`half must be one of ${VALID_HALVES.join(", ")}`);
+    }
+
+    return {
+        visualTopMargin: toNumber(
+            input.visualTopMargin ?? topBot,
+            base.visualTopMargin,
+            "visualTopMargin",
+        ),
+        visualBottomMargin: toNumber(
+            input.visualBottomMargin ?? topBot,
+            base.visualBottomMargin,
+            "visualBottomMargin",
+        ),
+        visualLeftMargin: toNumber(
+            input.visualLeftMargin,
+            base.visualLeftMargin,
+            "visualLeftMargin",
+        ),
+        visualRightMargin: toNumber(
+            input.visualRightMargin,
+            base.visualRightMargin,
+            "visualRightMargin",
+        ),
+        rotation,
+        half,
+        autoCrop: input.autoCrop === true || input.autoCrop === "true",
+        autoCropPadding: toNumber(
+            input.autoCropPadding,
+            base.autoCropPadding,
+            "autoCropPadding",
+        ),
+        carriers: toList(input.carriers),
+        platforms: toList(input.platforms),
+    };
+}
+
+/**
+ * All crop profiles: built-ins overlaid with the ones saved in settings.json.
+ * @returns {Object<string, Object>}
+ */
+function getCropProfiles() {
+    const saved = getSettings().cropProfiles;
+    const profiles = {};
+    for (const [name, profile] of Object.entries(BUILT_IN_CROP_PROFILES)) {
+        profiles[name] = { ...profile, builtIn: true };
+    }
+    for (const [name, profile] of Object.entries(saved)) {
+        try {
+            profiles[name] = {
+                ...normalizeCropProfile(profile),
+                builtIn: false,
+            };
+        } catch (err) {
+            console.warn(
+                `Ignoring invalid crop profile "${name}":`,
+                err.message,
+            );
+        }
+    }
+    return profiles;
+}
+
+function getCropProfile(name) {
+    if (!name) return null;
+    return getCropProfiles()[name] || null;
+}
+
+/**
+ * Creates or replaces a saved crop profile. Saving under a built-in name
+ * overrides it; deleting that saved copy restores the built-in margins.
+ * @param {string} name
+ * @param {Object} profile
+ * @returns {Promise<Object>} the normalized profile
+ */
+async function saveCropProfile(name, profile) {
+    if (!name || !/^[\w-]+$/.test(name)) {
+        throw new Error(
+            "Profile name is required (letters, numbers, - and _ only)",
+        );
+    }
+    const normalized = normalizeCropProfile(profile);
+    getSettings().cropProfiles[name] = normalized;
+    await saveSettings();
+    return normalized;
+}
+
+/**
+ * Removes a saved crop profile.
+ * @param {string} name
+ * @returns {Promise<boolean>} false if no saved profile had that name
+ */
+async function deleteCropProfile(name) {
+    const saved = getSettings().cropProfiles;
+    if (!Object.prototype.hasOwnProperty.call(saved, name)) return false;
+    delete saved[name];
+    await saveSettings();
+    return true;
+}
+
+/**
+ * Picks the crop profile for a label.
+ * Order: explicit profile name → carrier match → platform match →
+ * bulk position ("bulk-top"/"bulk-bottom") → "default".
+ * @param {Object} criteria - { profile, carrier, platform, isBulk, position }
+ * @returns {{name: string, profile: Object}}
+ */
+function resolveCropProfile(criteria = {}) {
+    const profiles = getCropProfiles();
+    const { profile, carrier, platform, isBulk, position } = criteria;
+
+    if (profile && typeof profile === "object") {
+        return { name: "custom", profile: normalizeCropProfile(profile) };
+    }
+    if (profile) {
+        if (profiles[profile])
+            return { name: profile, profile: profiles[profile] };
+        console.warn(`Crop profile "${profile}" not found. Falling back.`);
+    }
+
+    // Bulk halves have their own margins; carrier/platform profiles describe full labels
+    if (!isBulk) {
+        const findBy = (field, value) => {
+            if (!value) return null;
+            const key = String(value).toLowerCase();
+            const name = Object.keys(profiles).find((n) =>
+                profiles[n][field].includes(key),
+            );
+            return name ? { name, profile: profiles[name] } : null;
+        };
+        const match =
+            findBy("carriers", carrier) || findBy("platforms", platform);
+        if (match) return match;
+    }
+
+    const name = isBulk
+        ? position === "bottom"
+            ? "bulk-bottom"
+            : "bulk-top"
+        : "default";
+    return { name, profile: profiles[name] };
+}
+
+/**
+ * Validates a shop. Markers are matched as-is (case-sensitive), like the
+ * footers they come from.
+ * @param {Object} input - { name, slipMarkers: { etsy, tiktok }, shopifyEndMarkers, outputDir }
+ * @returns {Object} normalized shop
+ * @throws {Error} when the name is invalid or the shop has no markers
+ */
+function normalizeShop(input = {}) {
+    const toList = (value) => {
+        if (!value) return [];
+        const list = Array.isArray(value) ? value : String(value).split(",");
+        return list.map((v) => String(v).trim()).filter(Boolean);
+    };
+    const name = String(input.name || "").trim();
+    if (!/^[\w.-]+$/.test(name)) {
+        throw new Error(
+            "Shop name is required (letters, numbers, ., - and _ only)",
+        );
+    }
+
+    const slipMarkers = {};
+    for (const type of SHOP_MARKETPLACES) {
+        slipMarkers[type] = toList(
+            input.slipMarkers && input.slipMarkers[type],
+        );
+    }
+    const shopifyEndMarkers = toList(input.shopifyEndMarkers);
+    const markerCount =
+        Object.values(slipMarkers).flat().length + shopifyEndMarkers.length;
+    if (markerCount === 0) {
+        throw new Error(`Shop "${name}" needs at least one marker`);
+    }
+
+    const outputDir = input.outputDir ? String(input.outputDir).trim() : "";
+    return {
+        name,
+        slipMarkers,
+        shopifyEndMarkers,
+        outputDir: outputDir || null,
+    };
+}
+
+/**
+ * The configured shops, in match order (first shop whose marker appears wins).
+ * @returns {Array<Object>}
+ */
+function getShops() {
+    const saved = getSettings().shops;
+    if (!Array.isArray(saved)) return DEFAULT_SHOPS.map(normalizeShop);
+    const shops = [];
+    for (const shop of saved) {
+        try {
+            shops.push(normalizeShop(shop));
+        } catch (err) {
+            console.warn("Ignoring invalid shop:", err.message);
+        }
+    }
+    return shops;
+}
+
+/**
+ * Adds a shop, or replaces the one with the same name. The first save copies
+ * the default shop into settings.json so it keeps being recognized.
+ * @param {Object} shop
+ * @returns {Promise<Object>} the normalized shop
+ */
+async function saveShop(shop) {
+    const normalized = normalizeShop(shop);
+    const shops = getShops();
+    const index = shops.findIndex((s) => s.name === normalized.name);
+    if (index === -1) shops.push(normalized);
+    else shops[index] = normalized;
+    getSettings().shops = shops;
+    await saveSettings();
+    return normalized;
+}
+
+/**
+ * Removes a shop.
+ * @param {string} name
+ * @returns {Promise<boolean>} false if no shop had that name
+ */
+async function deleteShop(name) {
+    const shops = getShops();
+    const remaining = shops.filter((s) => s.name !== name);
+    if (remaining.length === shops.length) return false;
+    getSettings().shops = remaining;
+    await saveSettings();
+    return true;
+}
+
+module.exports = {
+    SETTINGS_FILE,
+    getSettings,
+    reloadSettings,
+    saveSettings,
+    getCropProfiles,
+    getCropProfile,
+    saveCropProfile,
+    deleteCropProfile,
+    resolveCropProfile,
+    normalizeCropProfile,
+    getShops,
+    saveShop,
+    deleteShop,
+    normalizeShop,
+};
@@ -0,0 +1,66 @@
+// Shop markers (see getShops in src/settings.js) as the parsers use them: is
+// this text one of our packing slips, and which shop printed it.
+
+const { getShops } = require("./settings");
+
+// Marketplace type -> the shop's markers for it. Shopify slips are recognized
+// by the marker that ends each order in a bulk export.
+function markersOf(shop, type) {
+    if (type === "shopify") return shop.shopifyEndMarkers;
+    return shop.slipMarkers[type] || [];
+}
+
+/**
+ * Every shop's markers for one marketplace.
+ * @param {string} type - "etsy", "tiktok" or "shopify"
+ * @returns {string[]}
+ */
+function shopMarkers(type) {
+    return getShops().flatMap((shop) => markersOf(shop, type));
+}
+
+/**
+ * True when the text carries a shop's marker for the marketplace.
+ * @param {string} text
+ * @param {string} type - "etsy", "tiktok" or "shopify"
+ * @returns {boolean}
+ */
+function hasShopMarker(text, type) {
+    if (!text) return false;
+    return shopMarkers(type).some((marker) => text.includes(marker));
+}
+
+/**
+ * Name of the first shop with any of its markers in the text.
+ * @param {string} text
+ * @returns {string|null}
+ */
+function findShopName(text) {
+    if (!text) return null;
+    const shop = getShops().find((s) =>
+        ["etsy", "tiktok", "shopify"].some((type) =>
+            markersOf(s, type).some((marker) => text.includes(marker)),
+        ),
+    );
+    return shop ? shop.name : null;
+}
+
+/**
+ * Extends an end-of-items pattern so a line starting with one of the
+ * marketplace's shop markers (a slip footer) also ends the item list.
+ * @param {RegExp} pattern
+ * @param {string} type
+ * @returns {RegExp}
+ */
+function endAtShopMarkers(pattern, type) {
+    const markers = shopMarkers(type).map((m) =>
+        m.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    );
+    if (markers.length === 0) return pattern;
+    return new RegExp(
+        `${pattern.source}|^(?:${markers.join("|")})`,
+        pattern.flags,
+    );
+}
+
+module.exports = { shopMarkers, hasShopMarker, findShopName, endAtShopMarkers };
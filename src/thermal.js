@@ -0,0 +1,87 @@
+const { PDFDocument, degrees } = require("pdf-lib");
+
+// 4x6 inch thermal label stock, portrait, in PDF points
+const THERMAL_4X6 = { width: 288, height: 432 };
+
+/**
+ * Draws an embedded page so that, after applying a clockwise rotation,
+ * it occupies the box with bottom-left (x, y) at the given scale.
+ * pdf-lib rotates counter-clockwise around the anchor, so the anchor moves
+ * to whichever corner ends up bottom-left.
+ */
+function drawRotated(page, embedded, { x, y, scale, rotation }) {
+    const w = embedded.width * scale;
+    const h = embedded.height * scale;
+    let anchor = { x, y };
+    if (rotation === 90) anchor = { x, y: y + w };
+    else if (rotation === 180) anchor = { x: x + w, y: y + h };
+    else if (rotation === 270) anchor = { x: x + h, y };
+
+    page.drawPage(embedded, {
+        x: anchor.x,
+        y: anchor.y,
+        xScale: scale,
+        yScale: scale,
+        rotate: degrees(-rotation),
+    });
+}
+
+/**
+ * Re-lays out every page of a merged document onto a true 4x6 MediaBox.
+ * - Label pages (the first labelPageCount pages) are turned to portrait and
+ *   scaled to fill the stock.
+ * - Remaining pages (packing slips) keep their orientation and are scaled
+ *   down to fit without clipping, top-aligned.
+ * Each page's CropBox and /Rotate are honored, so an already cropped label
+ * becomes the whole 4x6 page.
+ *
+ * @param {Uint8Array|Buffer} pdfBytes - merged document
+ * @param {Object} [options]
+ * @param {number} [options.labelPageCount=1]
+ * @returns {Promise<Uint8Array>}
+ */
+async function normalizeTo4x6(pdfBytes, options = {}) {
+    const labelPageCount =
+        options.labelPageCount !== undefined ? options.labelPageCount : 1;
+    const source = await PDFDocument.load(pdfBytes);
+    const output = await PDFDocument.create();
+    const { width: W, height: H } = THERMAL_4X6;
+
+    const pages = source.getPages();
+    for (let i = 0; i < pages.length; i++) {
+        const srcPage = pages[i];
+        const crop = srcPage.getCropBox();
+        const embedded = await output.embedPage(srcPage, {
+            left: crop.x,
+            bottom: crop.y,
+            right: crop.x + crop.width,
+            top: crop.y + crop.height,
+        });
+
+        let rotation = (((srcPage.getRotation().angle || 0) % 360) + 360) % 360;
+        const isLabel = i < labelPageCount;
+        let visualW = rotation % 180 === 0 ? crop.width : crop.height;
+        let visualH = rotation % 180 === 0 ? crop.height : crop.width;
+
+        // Labels always print portrait; turn landscape content a quarter clockwise
+        if (isLabel && visualW > visualH) {
+            rotation = (rotation + 90) % 360;
+            [visualW, visualH] = [visualH, visualW];
+        }
+
+        let scale = Math.min(W / visualW, H / visualH);
+        if (!isLabel) scale = Math.min(scale, 1);
+
+        const drawnW = visualW * scale;
+        const drawnH = visualH * scale;
+        const x = (W - drawnW) / 2;
+        const y = isLabel ? (H - drawnH) / 2 : H - drawnH;
+
+        const page = output.addPage([W, H]);
+        drawRotated(page, embedded, { x, y, scale, rotation });
+    }
+
+    return output.save();
+}
+
+module.exports = { THERMAL_4X6, normalizeTo4x6 };
@@ -0,0 +1,41 @@
+// Worker thread entry for the pool in src/workers.js: runs one processor task
+// per message and posts back its result or error message. Each message brings
+// the main thread's analyses of its PDFs, so they aren't parsed twice.
+
+const { parentPort } = require("worker_threads");
+const processor = require("./processor");
+const { reloadSettings } = require("./settings");
+const { clearAnalysisCache, addToAnalysisCache } = require("./analysis");
+
+const TASKS = {
+    processLabels: processor.processLabels,
+    processTikTokPair: processor.processTikTokPair,
+    processShopifyBulk: processor.processShopifyBulk,
+};
+
+// Buffers arrive as plain Uint8Arrays; the processor expects Buffers
+function toBuffers(value) {
+    if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+        return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    }
+    if (Array.isArray(value)) return value.map(toBuffers);
+    return value;
+}
+
+parentPort.on("message", async (message) => {
+    if (message.type === "reload") {
+        reloadSettings();
+        clearAnalysisCache();
+        return;
+    }
+    const { id, task, args, analyses } = message;
+    // The main thread already parsed most of these PDFs to classify them
+    addToAnalysisCache(analyses || []);
+    try {
+        const result = await TASKS[task](...args.map(toBuffers));
+        parentPort.postMessage({ id, result });
+    } catch (err) {
+        console.error(`Worker task ${task} failed:`, err);
+        parentPort.postMessage({ id, error: err.message || String(err) });
+    }
+});
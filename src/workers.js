@@ -0,0 +1,209 @@
+// Bounded worker_threads pool for the heavy per-order work (PDF parsing,
+// cropping, merging, ZPL), so a large batch doesn't block the event loop and
+// the UI's other requests still get answered.
+//
+// WORKER_CONCURRENCY sets the number of workers; 0 runs the tasks one at a
+// time on the main thread. Each worker runs one task at a time; the rest wait
+// in a queue, where a cancelled job's tasks are dropped.
+
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { cachedAnalyses } = require("./analysis");
+
+const WORKER_SCRIPT = path.join(__dirname, "worker.js");
+// Processor functions a worker can run; must match TASKS in src/worker.js
+const TASK_NAMES = ["processLabels", "processTikTokPair", "processShopifyBulk"];
+
+function defaultConcurrency() {
+    const cpus = os.availableParallelism
+        ? os.availableParallelism()
+        : os.cpus().length;
+    // Leave a core for the server itself, but always have at least one worker
+    return Math.max(1, Math.min(4, cpus - 1));
+}
+
+function parseConcurrency(value) {
+    if (value === undefined || value === "") return defaultConcurrency();
+    const n = parseInt(value, 10);
+    if (isNaN(n) || n < 0) {
+        console.warn(
+            `Invalid WORKER_CONCURRENCY "${value}", using ${defaultConcurrency()}`,
+        );
+        return defaultConcurrency();
+    }
+    return n;
+}
+
+let concurrency = null;
+const workers = []; // { worker, job } — job is the running task or null
+const queue = [];
+let nextJobId = 1;
+
+/**
+ * Number of workers the pool may run (read once, on first use, so a .env
+ * loaded after this module is required still applies).
+ * @returns {number}
+ */
+function poolSize() {
+    if (concurrency === null) {
+        concurrency = parseConcurrency(process.env.WORKER_CONCURRENCY);
+    }
+    return concurrency;
+}
+
+function spawnWorker() {
+    const slot = { worker: new Worker(WORKER_SCRIPT), job: null };
+    slot.worker.unref();
+    slot.worker.on("message", (message) => {
+        const { job } = slot;
+        if (!job || message.id !== job.id) return;
+        finishJob(slot);
+        if (message.error) job.reject(new Error(message.error));
+        else job.resolve(message.result);
+    });
+    // A crashed worker only fails the task it was running; the slot is
+    // replaced on the next dispatch
+    const fail = (err) => {
+        const index = workers.indexOf(slot);
+        if (index === -1) return;
+        workers.splice(index, 1);
+        const { job } = slot;
+        if (job) job.reject(err);
+        dispatch();
+    };
+    slot.worker.on("error", (err) => {
+        console.error("Worker error:", err);
+        fail(err);
+    });
+    slot.worker.on("exit", (code) => {
+        fail(new Error(`Worker stopped with exit code ${code}`));
+    });
+    workers.push(slot);
+    return slot;
+}
+
+function finishJob(slot) {
+    slot.job = null;
+    // An idle worker must not keep the process alive
+    slot.worker.unref();
+    dispatch();
+}
+
+// Next queued task whose job wasn't cancelled; cancelled ones are rejected
+function nextJob() {
+    while (queue.length > 0) {
+        const job = queue.shift();
+        if (!job.signal || !job.signal.aborted) return job;
+        const err = new Error("Cancelled");
+        err.name = "AbortError";
+        job.reject(err);
+    }
+    return null;
+}
+
+// WORKER_CONCURRENCY=0: one task at a time, in this thread
+let inlineBusy = false;
+
+function dispatchInline() {
+    if (inlineBusy) return;
+    const job = nextJob();
+    if (!job) return;
+    inlineBusy = true;
+    Promise.resolve()
+        .then(() => require("./processor")[job.task](...job.args))
+        .then(job.resolve, job.reject)
+        .finally(() => {
+            inlineBusy = false;
+            dispatchInline();
+        });
+}
+
+function dispatch() {
+    if (poolSize() === 0) {
+        dispatchInline();
+        return;
+    }
+    while (queue.length > 0) {
+        let slot = workers.find((w) => !w.job);
+        if (!slot && workers.length < poolSize()) slot = spawnWorker();
+        if (!slot) return;
+        const job = nextJob();
+        if (!job) return;
+        slot.job = job;
+        slot.worker.ref();
+        slot.worker.postMessage({
+            id: job.id,
+            task: job.task,
+            args: job.args,
+            analyses: job.analyses,
+        });
+    }
+}
+
+/**
+ * Runs a processor function (see TASK_NAMES) in the pool. Buffers are copied
+ * to the worker; they come back as Uint8Arrays (e.g. pdfBytes).
+ * @param {string} task - "processLabels", "processTikTokPair" or "processShopifyBulk"
+ * @param {Array} args - the function's arguments; must be structured-cloneable
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - once aborted, the task is dropped if
+ *   it hasn't started (a running task still finishes)
+ * @returns {Promise<*>} the function's result; rejects with its error, or
+ *   an AbortError ("Cancelled")
+ */
+async function runTask(task, args, options = {}) {
+    if (!TASK_NAMES.includes(task)) {
+        throw new Error(`Unknown worker task: ${task}`);
+    }
+    // Workers get the main thread's analyses of the task's PDFs; on the main
+    // thread the cache is already shared
+    const analyses =
+        poolSize() === 0 ? [] : await cachedAnalyses(buffersIn(args));
+    return new Promise((resolve, reject) => {
+        queue.push({
+            id: nextJobId++,
+            task,
+            args,
+            analyses,
+            signal: options.signal,
+            resolve,
+            reject,
+        });
+        dispatch();
+    });
+}
+
+// PDF buffers among a task's arguments (processLabels takes an array of labels)
+function buffersIn(args) {
+    return args
+        .flat()
+        .filter((arg) => arg instanceof Uint8Array && arg.byteLength > 0);
+}
+
+/**
+ * Makes every worker re-read settings.json and drop its analysis cache, after
+ * crop profiles or shops change.
+ */
+function reloadWorkers() {
+    for (const { worker } of workers) {
+        worker.postMessage({ type: "reload" });
+    }
+}
+
+/**
+ * Stops every worker; queued tasks are rejected.
+ * @returns {Promise<void>}
+ */
+async function closeWorkers() {
+    for (const job of queue.splice(0)) {
+        job.reject(new Error("Worker pool closed"));
+    }
+    const slots = workers.splice(0);
+    await Promise.all(slots.map(({ worker }) => worker.terminate()));
+    for (const { job } of slots) {
+        if (job) job.reject(new Error("Worker pool closed"));
+    }
+}
+
+module.exports = { runTask, reloadWorkers, closeWorkers, poolSize };
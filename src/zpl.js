@@ -0,0 +1,158 @@
+const path = require("path");
+const canvas = require("@napi-rs/canvas");
+
+// pdfjs-dist polyfills these from the "canvas" package, which is not installed
+for (const name of ["Path2D", "DOMMatrix", "ImageData"]) {
+    if (!globalThis[name] && canvas[name]) globalThis[name] = canvas[name];
+}
+const pdfjsDist = require("pdfjs-dist/legacy/build/pdf.js");
+
+// Shipping labels use the 14 standard fonts without embedding them
+const STANDARD_FONT_DATA_URL =
+    path.join(
+        path.dirname(require.resolve("pdfjs-dist/package.json")),
+        "standard_fonts",
+    ) + path.sep;
+
+// Zebra print heads: 8 dots/mm (203 dpi) and 12 dots/mm (300 dpi)
+const ZPL_DPIS = [203, 300];
+// Pixels darker than this (0-255 luminance) become black dots
+const BLACK_THRESHOLD = 128;
+
+/**
+ * Rasterizes one page to a 1-bit bitmap, packed 8 dots per byte (1 = black),
+ * honoring CropBox and /Rotate. Landscape pages are turned a quarter
+ * clockwise so the label prints portrait, matching the 4x6 output.
+ */
+async function rasterizePage(page, dpi) {
+    let viewport = page.getViewport({ scale: dpi / 72 });
+    if (viewport.width > viewport.height) {
+        viewport = page.getViewport({
+            scale: dpi / 72,
+            rotation: (page.rotate + 90) % 360,
+        });
+    }
+    // The scale can land a hair above a whole dot (432pt at 300 dpi is
+    // 1800.0000000000002), which must not add a blank row
+    const width = Math.ceil(viewport.width - 1e-6);
+    const height = Math.ceil(viewport.height - 1e-6);
+    const surface = canvas.createCanvas(width, height);
+    const ctx = surface.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+    await page.render({ canvasContext: ctx, viewport }).promise;
+
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    const bytesPerRow = Math.ceil(width / 8);
+    const bits = Buffer.alloc(bytesPerRow * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const luminance =
+                0.299 * pixels[i] +
+                0.587 * pixels[i + 1] +
+                0.114 * pixels[i + 2];
+            if (luminance < BLACK_THRESHOLD) {
+                bits[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+    return { width, height, bytesPerRow, bits };
+}
+
+// ZPL repeat count prefix: g-z count 20-400 in steps of 20, G-Y count 1-19
+function repeatPrefix(count) {
+    let prefix = "";
+    if (count >= 20) {
+        prefix += String.fromCharCode(
+            "g".charCodeAt(0) + Math.floor(count / 20) - 1,
+        );
+    }
+    if (count % 20) {
+        prefix += String.fromCharCode("G".charCodeAt(0) + (count % 20) - 1);
+    }
+    return prefix;
+}
+
+/**
+ * Encodes bitmap rows with ZPL's ASCII compression: ":" repeats the previous
+ * row, "," pads the rest of a row with zeros, and runs of one hex digit get a
+ * repeat prefix. A 4x6 label shrinks from ~250 KB of hex to a few KB.
+ */
+function compressRows(bits, bytesPerRow, height) {
+    const rows = [];
+    let previous = null;
+    for (let y = 0; y < height; y++) {
+        const hex = bits
+            .subarray(y * bytesPerRow, (y + 1) * bytesPerRow)
+            .toString("hex")
+            .toUpperCase();
+        if (hex === previous) {
+            rows.push(":");
+            continue;
+        }
+        previous = hex;
+
+        const trimmed = hex.replace(/0+$/, "");
+        let encoded = "";
+        let i = 0;
+        while (i < trimmed.length) {
+            let run = 1;
+            while (run < 400 && trimmed[i + run] === trimmed[i]) run++;
+            encoded += (run > 1 ? repeatPrefix(run) : "") + trimmed[i];
+            i += run;
+        }
+        if (trimmed.length < hex.length) encoded += ",";
+        rows.push(encoded);
+    }
+    return rows.join("");
+}
+
+/**
+ * Converts label pages of a merged PDF to ZPL, one ^XA...^XZ format per page,
+ * each holding the page as a ^GF graphic field. Ready for a raw Zebra queue.
+ *
+ * @param {Uint8Array|Buffer} pdfBytes - merged document
+ * @param {Object} [options]
+ * @param {number} [options.dpi=203] - printer resolution (203 or 300)
+ * @param {number} [options.labelPageCount=1] - leading pages to convert
+ * @returns {Promise<string>}
+ */
+async function pdfToZpl(pdfBytes, options = {}) {
+    const dpi = options.dpi || ZPL_DPIS[0];
+    if (!ZPL_DPIS.includes(dpi)) {
+        throw new Error(`dpi must be one of ${ZPL_DPIS.join(", ")}`);
+    }
+    const labelPageCount =
+        options.labelPageCount !== undefined ? options.labelPageCount : 1;
+
+    const doc = await pdfjsDist.getDocument({
+        data: new Uint8Array(pdfBytes),
+        standardFontDataUrl: STANDARD_FONT_DATA_URL,
+        disableFontFace: true,
+        isEvalSupported: false,
+        verbosity: 0,
+    }).promise;
+    try {
+        const formats = [];
+        const count = Math.min(labelPageCount, doc.numPages);
+        for (let i = 1; i <= count; i++) {
+            const page = await doc.getPage(i);
+            const { width, height, bytesPerRow, bits } = await rasterizePage(
+                page,
+                dpi,
+            );
+            const data = compressRows(bits, bytesPerRow, height);
+            formats.push(
+                `^XA^PW${width}^LL${height}^FO0,0` +
+                    `^GFA,${bits.length},${bits.length},${bytesPerRow},${data}^FS^XZ`,
+            );
+            page.cleanup();
+        }
+        return formats.join("\n");
+    } finally {
+        await doc.destroy();
+    }
+}
+
+module.exports = { ZPL_DPIS, pdfToZpl };
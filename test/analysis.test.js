@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument, StandardFonts } = require("pdf-lib");
+
+require("./setup");
+const {
+    analyzeDocument,
+    cachedAnalyses,
+    addToAnalysisCache,
+    contentHash,
+} = require("../src/analysis");
+
+async function makePdf(lines) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const page = doc.addPage([612, 792]);
+    lines.forEach((text, i) => {
+        page.drawText(text, { x: 50, y: 742 - i * 20, size: 10, font });
+    });
+    return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
+
+test("cachedAnalyses returns only the PDFs analyzed already", async () => {
+    const seen = await makePdf(["Order #3000000001"]);
+    const unseen = await makePdf(["Order #3000000002"]);
+    const analysis = await analyzeDocument(seen);
+    assert.deepEqual(analysis.orderIds, ["3000000001"]);
+    assert.deepEqual(await cachedAnalyses([seen, unseen]), [analysis]);
+});
+
+test("analyses from another thread are used instead of parsing", async () => {
+    const buffer = await makePdf(["Order #3000000003"]);
+    // Not what parsing would give, so a second parse would show
+    const fromMainThread = {
+        hash: contentHash(buffer),
+        orderIds: ["from the main thread"],
+    };
+    addToAnalysisCache([fromMainThread]);
+    assert.equal(await analyzeDocument(buffer), fromMainThread);
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { padBox } = require("../src/autocrop");
+
+const region = { x: 0, y: 0, width: 288, height: 432 };
+const box = { x: 50, y: 50, width: 100, height: 100 };
+
+test("padBox grows the box by the padding", () => {
+    assert.deepEqual(padBox(box, 10, region), {
+        x: 40,
+        y: 40,
+        width: 120,
+        height: 120,
+    });
+});
+
+test("padBox stays inside the region", () => {
+    assert.deepEqual(padBox(box, 100, region), {
+        x: 0,
+        y: 0,
+        width: 250,
+        height: 250,
+    });
+});
+
+test("padBox falls back to the default padding for a non-number", () => {
+    const expected = { x: 42, y: 42, width: 116, height: 116 };
+    assert.deepEqual(padBox(box, NaN, region), expected);
+    assert.deepEqual(padBox(box, undefined, region), expected);
+});
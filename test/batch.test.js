@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument, PDFName } = require("pdf-lib");
+const { analyzeDocument } = require("../src/analysis");
+const { buildBatchPdf } = require("../src/batch");
+
+async function orderPdf(pageCount, size = [288, 432]) {
+    const doc = await PDFDocument.create();
+    for (let i = 0; i < pageCount; i++) doc.addPage(size);
+    return Buffer.from(await doc.save()).toString("base64");
+}
+
+async function order(orderId, pageCount, size) {
+    return {
+        filename: `${orderId}.pdf`,
+        pdfBase64: await orderPdf(pageCount, size),
+        metadata: { orderId, buyerName: "Jane Doe", items: [] },
+    };
+}
+
+// Bookmark titles in outline order
+function outlineTitles(doc) {
+    const outlines = doc.catalog.lookup(PDFName.of("Outlines"));
+    const titles = [];
+    let item = outlines.lookup(PDFName.of("First"));
+    while (item) {
+        titles.push(item.lookup(PDFName.of("Title")).decodeText());
+        item = item.lookup(PDFName.of("Next"));
+    }
+    return titles;
+}
+
+test("returns null when no result has a PDF", async () => {
+    assert.equal(await buildBatchPdf([]), null);
+    assert.equal(
+        await buildBatchPdf([{ filename: "a.pdf", pdfBase64: null }]),
+        null,
+    );
+});
+
+test("combines orders in the order given, one bookmark each", async () => {
+    const batch = await buildBatchPdf([
+        await order("5000000002", 2),
+        { filename: "skipped.pdf", pdfBase64: null, metadata: {} },
+        await order("5000000001", 1),
+    ]);
+    assert.equal(batch.orderCount, 2);
+
+    const doc = await PDFDocument.load(batch.pdfBytes);
+    assert.equal(doc.getPageCount(), 3);
+    assert.equal(doc.getTitle(), "Batch of 2 order(s)");
+    assert.deepEqual(outlineTitles(doc), ["5000000002", "5000000001"]);
+});
+
+test("bookmarks fall back to the filename without an order ID", async () => {
+    const result = await order("x", 1);
+    result.metadata = {};
+    const batch = await buildBatchPdf([result]);
+    const doc = await PDFDocument.load(batch.pdfBytes);
+    assert.deepEqual(outlineTitles(doc), ["x.pdf"]);
+});
+
+test("separator pages go between orders, sized like the next order", async () => {
+    const batch = await buildBatchPdf(
+        [
+            await order("5000000001", 1, [612, 792]),
+            await order("5000000002", 2, [288, 432]),
+            await order("5000000003", 1, [288, 432]),
+        ],
+        { separatorPages: true },
+    );
+    const doc = await PDFDocument.load(batch.pdfBytes);
+    // 4 order pages plus a separator before the second and third orders
+    assert.equal(doc.getPageCount(), 6);
+    const sizes = doc.getPages().map((p) => {
+        const { width, height } = p.getSize();
+        return [width, height];
+    });
+    assert.deepEqual(sizes[1], [288, 432]);
+    assert.deepEqual(sizes[4], [288, 432]);
+    assert.equal(batch.orderCount, 3);
+
+    const { pages } = await analyzeDocument(Buffer.from(batch.pdfBytes));
+    assert.match(pages[1], /Order 5000000002/);
+    assert.match(pages[1], /2 of 3/);
+    assert.match(pages[1], /Jane Doe/);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    validateTracking,
+    findTrackingNumbers,
+    analyzeLabelText,
+} = require("../src/carriers");
+
+// Published sample numbers with a valid check digit, per carrier and format
+const VALID = {
+    usps: [
+        "9400111899223344556677",
+        "9205590164917312751089",
+        "9361289878700317633795",
+        "EA123456785US",
+    ],
+    ups: ["1Z5R89390357567127", "1Z879E930346834440", "1Z12345E6605272234"],
+    fedex: [
+        "986578788855",
+        "477179081230",
+        "449044304137821",
+        "9611020987654312345672",
+    ],
+    dhl: ["3318810025", "8487135506"],
+};
+
+// The same numbers with the check digit off by one
+function withWrongCheckDigit(number) {
+    const s10 = /^[A-Z]{2}\d{9}US$/.test(number);
+    const at = s10 ? 10 : number.length - 1;
+    const wrong = (Number(number[at]) + 1) % 10;
+    return number.slice(0, at) + wrong + number.slice(at + 1);
+}
+
+for (const [carrier, numbers] of Object.entries(VALID)) {
+    test(`${carrier}: known-good numbers pass their check digit`, () => {
+        for (const number of numbers) {
+            assert.equal(validateTracking(number, carrier), true, number);
+        }
+    });
+
+    test(`${carrier}: a wrong check digit fails`, () => {
+        for (const number of numbers) {
+            const bad = withWrongCheckDigit(number);
+            assert.equal(validateTracking(bad, carrier), false, bad);
+        }
+    });
+}
+
+test("validateTracking ignores spaces and checks the carrier's formats only", () => {
+    assert.equal(validateTracking("9400 1118 9922 3344 5566 77", "usps"), true);
+    assert.equal(validateTracking("9400111899223344556677", "ups"), false);
+    assert.equal(validateTracking("1Z5R89390357567127"), true);
+});
+
+test("findTrackingNumbers joins digit groups printed on one line", () => {
+    assert.deepEqual(
+        findTrackingNumbers("TRACKING #\n9400 1118 9922 3344 5566 77"),
+        [{ number: "9400111899223344556677", carrier: "usps", valid: true }],
+    );
+});
+
+test("analyzeLabelText reads carrier, service and tracking number", () => {
+    const label = [
+        "UPS GROUND",
+        "SHIP TO: Jane Doe",
+        "TRACKING #: 1Z 5R8 939 03 5756 7127",
+    ].join("\n");
+    assert.deepEqual(analyzeLabelText(label), {
+        carrier: "ups",
+        service: "Ground",
+        tracking: "1Z5R89390357567127",
+        trackingValid: true,
+    });
+});
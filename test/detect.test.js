@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument, StandardFonts } = require("pdf-lib");
+
+require("./setup");
+const { classifyUploads } = require("../src/detect");
+
+// One Letter page per entry, one line of text per string
+async function makePdf(pages) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    for (const lines of pages) {
+        const page = doc.addPage([612, 792]);
+        lines.forEach((text, i) => {
+            page.drawText(text, { x: 50, y: 742 - i * 20, size: 10, font });
+        });
+    }
+    return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
+
+const etsyLabel = (id) => [
+    "USPS GROUND ADVANTAGE",
+    `Order #${id}`,
+    "9400 1118 9922 3344 5566 77",
+];
+const etsySlip = (id) => [`Order #${id}`, "rubyvibeco.etsy.com"];
+const tiktokSlip = (id) => [`Order ID: ${id}`, "Items", "app.rubyvibeco.com"];
+const tiktokLabel = (id) => [
+    "USPS GROUND ADVANTAGE",
+    `Order ID: ${id}`,
+    "9400 1118 9922 3344 5566 77",
+];
+const shopifySlip = (name) => [`Order ${name}`, "app.rubyvibeco.com"];
+
+async function classify(uploads) {
+    const files = [];
+    for (const [originalName, pages] of Object.entries(uploads)) {
+        files.push({
+            originalName,
+            buffer: pages ? await makePdf(pages) : Buffer.from("not a pdf"),
+        });
+    }
+    const entries = await classifyUploads(files);
+    return Object.fromEntries(
+        entries.map((e) => [e.file.originalName, [e.kind, e.orderIds]]),
+    );
+}
+
+test("Etsy labels and slips, one order or several per file", async () => {
+    assert.deepEqual(
+        await classify({
+            "label.pdf": [etsyLabel("3953698770")],
+            "slip.pdf": [etsySlip("3953698770")],
+            "sheet.pdf": [etsyLabel("1111111111"), etsyLabel("2222222222")],
+            "slips.pdf": [etsySlip("1111111111"), etsySlip("2222222222")],
+        }),
+        {
+            "label.pdf": ["label", ["3953698770"]],
+            "slip.pdf": ["slip", ["3953698770"]],
+            "sheet.pdf": ["bulk-labels", ["1111111111", "2222222222"]],
+            "slips.pdf": ["bulk-slips", ["1111111111", "2222222222"]],
+        },
+    );
+});
+
+test("TikTok labels are told apart by the slips uploaded with them", async () => {
+    const id = "576000000000000011";
+    const other = "576000000000000022";
+    assert.deepEqual(
+        await classify({
+            "slip.pdf": [tiktokSlip(id)],
+            "label.pdf": [tiktokLabel(id)],
+            "slips.pdf": [tiktokSlip(other), tiktokSlip("576000000000000033")],
+            [`${other}.pdf`]: [["USPS GROUND ADVANTAGE"]],
+        }),
+        {
+            "slip.pdf": ["tiktok-slip", [id]],
+            "label.pdf": ["tiktok-label", [id]],
+            "slips.pdf": ["tiktok-bulk-slips", [other, "576000000000000033"]],
+            [`${other}.pdf`]: ["tiktok-label", [other]],
+        },
+    );
+});
+
+test("without TikTok slips, a label stays with the Etsy-style labels", async () => {
+    const { "label.pdf": label } = await classify({
+        "label.pdf": [tiktokLabel("576000000000000011")],
+    });
+    assert.equal(label[0], "label");
+});
+
+test("a Shopify export is named by its orders", async () => {
+    assert.deepEqual(
+        await classify({
+            "export.pdf": [
+                ["USPS GROUND ADVANTAGE", "9400 1118 9922 3344 5566 77"],
+                shopifySlip("#1001"),
+                ["UPS GROUND", "1Z5R89390357567127"],
+                shopifySlip("#1002"),
+            ],
+        }),
+        { "export.pdf": ["shopify-export", ["#1001", "#1002"]] },
+    );
+});
+
+test("unreadable files and stray Shopify slips are unknown", async () => {
+    const result = await classify({
+        "notes.pdf": null,
+        "slip.pdf": [shopifySlip("#1001")],
+    });
+    assert.equal(result["notes.pdf"][0], "unknown");
+    assert.equal(result["slip.pdf"][0], "unknown");
+});
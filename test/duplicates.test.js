@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { tmp } = require("./setup");
+const { findDuplicates, archivedOrderId } = require("../src/duplicates");
+const { recordProcessed } = require("../src/ledger");
+
+function result(orderId, tracking, extra = {}) {
+    return {
+        filename: orderId,
+        pdfBase64: "JVBERi0=",
+        metadata: { orderId, id: orderId, type: "etsy", tracking },
+        ...extra,
+    };
+}
+
+test("archivedOrderId reads order outputs only", () => {
+    assert.equal(archivedOrderId("3000000001"), "3000000001");
+    assert.equal(archivedOrderId("#576123456789"), "576123456789");
+    assert.equal(archivedOrderId("113-1234567-1234567"), "113-1234567-1234567");
+    assert.equal(archivedOrderId("#1001"), "1001");
+    assert.equal(archivedOrderId("#1234-A"), "1234-A");
+    assert.equal(archivedOrderId("3000000001.pdf"), null);
+    assert.equal(archivedOrderId("3000000001.zpl"), null);
+    assert.equal(archivedOrderId("batch-2026-01-22-10-00-00.pdf"), null);
+    assert.equal(archivedOrderId("label-3000000001"), null);
+});
+
+test("flags a tracking number on two orders in the batch", async () => {
+    const results = [
+        result("3000000001", "9400111899223100000001"),
+        result("3000000002", "9400 1118 9922 3100 0000 01"),
+    ];
+    const warnings = await findDuplicates(results, []);
+    assert.deepEqual(
+        warnings.map((w) => [w.type, w.orderId, w.matches]),
+        [
+            ["duplicate-tracking", "3000000001", ["3000000002"]],
+            ["duplicate-tracking", "3000000002", ["3000000001"]],
+        ],
+    );
+    assert.equal(results[0].duplicates.length, 1);
+});
+
+test("flags an order merged twice in the batch", async () => {
+    const warnings = await findDuplicates(
+        [result("3000000003", "-"), result("3000000003", "-")],
+        [],
+    );
+    assert.deepEqual(
+        warnings.map((w) => w.type),
+        ["duplicate-order", "duplicate-order"],
+    );
+});
+
+test("skipped results are left alone", async () => {
+    const skipped = { ...result("3000000004", "-"), pdfBase64: null };
+    assert.deepEqual(await findDuplicates([skipped, skipped], []), []);
+});
+
+test("checks the ledger and the archived outputs", async (t) => {
+    const archive = path.join(tmp, "old labels");
+    fs.mkdirSync(archive);
+    fs.writeFileSync(path.join(archive, "3000000020"), "not read");
+    fs.writeFileSync(path.join(archive, "3000000021.pdf"), "a source file");
+    await recordProcessed(
+        result("3000000010", "9400111899223100000010"),
+        "/out/3000000010",
+    );
+
+    const reused = result("3000000011", "9400111899223100000010");
+    const archived = result("3000000020", "-");
+    const source = result("3000000021", "-");
+    const replaced = result("3000000010", "-", { updated: true });
+    const warnings = await findDuplicates(
+        [reused, archived, source, replaced],
+        [archive],
+    );
+    assert.deepEqual(
+        warnings.map((w) => [w.type, w.orderId, w.matches]),
+        [
+            ["duplicate-tracking", "3000000011", ["3000000010"]],
+            [
+                "duplicate-order",
+                "3000000020",
+                [path.join(archive, "3000000020")],
+            ],
+        ],
+    );
+    t.diagnostic(warnings.map((w) => w.message).join("\n"));
+});
+
+test("Shopify orders match with or without the #", async () => {
+    const archive = path.join(tmp, "shopify", "old labels");
+    fs.mkdirSync(archive, { recursive: true });
+    fs.writeFileSync(path.join(archive, "#1001"), "not read");
+    await recordProcessed(
+        { ...result("#1002", "-"), filename: "#1002" },
+        "/out/#1002",
+    );
+
+    const shopify = (orderId) => ({
+        ...result(orderId, "-"),
+        metadata: { orderId, id: orderId, type: "shopify", tracking: "-" },
+    });
+    const warnings = await findDuplicates(
+        [shopify("#1001"), shopify("#1002"), shopify("#1003")],
+        [archive],
+    );
+    assert.deepEqual(
+        warnings.map((w) => [w.type, w.orderId, w.matches]),
+        [
+            ["duplicate-order", "#1001", [path.join(archive, "#1001")]],
+            ["duplicate-order", "#1002", ["/out/#1002"]],
+        ],
+    );
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const {
+    createJob,
+    getJob,
+    emitJobEvent,
+    finishJob,
+    cancelJob,
+    streamJob,
+} = require("../src/jobs");
+
+// Just enough of Express's req/res for streamJob
+function fakeClient(lastEventId) {
+    const req = new EventEmitter();
+    req.get = (name) => (name === "Last-Event-ID" ? lastEventId : undefined);
+    const res = {
+        headers: {},
+        body: "",
+        ended: false,
+        set(headers) {
+            Object.assign(this.headers, headers);
+        },
+        flushHeaders() {},
+        write(chunk) {
+            this.body += chunk;
+        },
+        end() {
+            this.ended = true;
+        },
+    };
+    return { req, res };
+}
+
+// Event names in the order the client received them
+function eventTypes(body) {
+    return [...body.matchAll(/^event: (\w+)$/gm)].map((m) => m[1]);
+}
+
+test("a new job is running and can be looked up by ID", () => {
+    const job = createJob("scan-default");
+    assert.equal(job.status, "running");
+    assert.equal(job.kind, "scan-default");
+    assert.equal(getJob(job.id), job);
+    assert.equal(getJob("no-such-job"), null);
+});
+
+test("progress events reach connected clients as they happen", () => {
+    const job = createJob("merge");
+    const { req, res } = fakeClient();
+    streamJob(job, req, res);
+    assert.equal(res.headers["Content-Type"], "text/event-stream");
+
+    emitJobEvent(job, "matched", { orderId: "1234567890", files: [] });
+    assert.match(
+        res.body,
+        /^id: 1\nevent: matched\ndata: \{"orderId":"1234567890"/,
+    );
+    assert.equal(res.ended, false);
+
+    finishJob(job, 200, { results: [] });
+    assert.equal(job.status, "done");
+    assert.deepEqual(eventTypes(res.body), ["matched", "done"]);
+    assert.equal(res.ended, true);
+});
+
+test("a client that reconnects gets only the events it missed", () => {
+    const job = createJob("merge");
+    emitJobEvent(job, "classified", { file: "a.pdf", kind: "label" });
+    emitJobEvent(job, "classified", { file: "b.pdf", kind: "slip" });
+    emitJobEvent(job, "matched", { orderId: "1234567890", files: [] });
+
+    const { req, res } = fakeClient("2");
+    streamJob(job, req, res);
+    assert.deepEqual(eventTypes(res.body), ["matched"]);
+
+    req.emit("close");
+    emitJobEvent(job, "error", { message: "boom" });
+    assert.deepEqual(eventTypes(res.body), ["matched"]);
+});
+
+test("a client that connects after the job finished gets it all, then the end", () => {
+    const job = createJob("merge");
+    emitJobEvent(job, "error", { message: "boom" });
+    finishJob(job, 200, { results: [] });
+
+    const { req, res } = fakeClient();
+    streamJob(job, req, res);
+    assert.deepEqual(eventTypes(res.body), ["error", "done"]);
+    assert.equal(res.ended, true);
+});
+
+test("cancel aborts the job's signal once and keeps the cancelled status", () => {
+    const job = createJob("merge");
+    assert.equal(job.signal.aborted, false);
+
+    assert.equal(cancelJob(job), true);
+    assert.equal(job.signal.aborted, true);
+    assert.equal(job.status, "cancelled");
+    assert.equal(cancelJob(job), false);
+
+    finishJob(job, 200, { results: [] });
+    assert.equal(job.status, "cancelled");
+    assert.deepEqual(
+        job.events.map((e) => e.type),
+        ["cancelled", "done"],
+    );
+});
+
+test("a finished job can't be cancelled", () => {
+    const job = createJob("merge");
+    finishJob(job, 200, {});
+    assert.equal(cancelJob(job), false);
+    assert.equal(job.signal.aborted, false);
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("./setup");
+const {
+    detectLabelLayout,
+    layoutCells,
+    isLabelLayout,
+} = require("../src/layouts");
+
+const LETTER = { x: 0, y: 0, width: 612, height: 792 };
+const FOUR_BY_SIX = { x: 0, y: 0, width: 288, height: 432 };
+
+// A label's text runs: its Order ID plus an address line, from (x, y) down
+function label(id, x, y, width = 250) {
+    return [
+        { str: `Order #${id}`, x, y },
+        { str: "Jane Doe", x, y: y - 20 },
+        { str: "USPS TRACKING", x: x + width - 100, y: y - 40 },
+    ];
+}
+
+function analysisOf(pages) {
+    return { pageItems: pages };
+}
+
+test("a 1-up Letter label is not cut in half", () => {
+    const page = [
+        ...label("1000000001", 50, 740, 500),
+        { str: "Ship to", x: 50, y: 200 },
+    ];
+    assert.equal(detectLabelLayout(analysisOf([page]), [LETTER]), "1x1");
+});
+
+test("two labels top and bottom read as 1x2", () => {
+    const page = [
+        ...label("1000000001", 50, 740, 500),
+        ...label("1000000002", 50, 340, 500),
+    ];
+    assert.equal(detectLabelLayout(analysisOf([page]), [LETTER]), "1x2");
+});
+
+test("a full 2x2 sheet reads as 2x2", () => {
+    const page = [
+        ...label("1000000001", 20, 740, 250),
+        ...label("1000000002", 326, 740, 250),
+        ...label("1000000003", 20, 340, 250),
+        ...label("1000000004", 326, 340, 250),
+    ];
+    assert.equal(detectLabelLayout(analysisOf([page]), [LETTER]), "2x2");
+});
+
+test("a 2x2 sheet with one column filled reads as 2x2", () => {
+    const page = [
+        ...label("1000000001", 20, 740, 250),
+        ...label("1000000003", 20, 340, 250),
+    ];
+    assert.equal(detectLabelLayout(analysisOf([page]), [LETTER]), "2x2");
+});
+
+test("small pages are 1-up", () => {
+    const page = label("1000000001", 20, 400, 250);
+    assert.equal(detectLabelLayout(analysisOf([page]), [FOUR_BY_SIX]), "1x1");
+});
+
+test("falls back to 1x2 when no layout separates the IDs", () => {
+    const page = [
+        { str: "Order #1000000001", x: 50, y: 740 },
+        { str: "Order #1000000002", x: 60, y: 720 },
+    ];
+    assert.equal(detectLabelLayout(analysisOf([page]), [LETTER]), "1x2");
+});
+
+test("layoutCells lists cells left to right, top to bottom", () => {
+    const cells = layoutCells("2x2", LETTER);
+    assert.deepEqual(
+        cells.map((c) => [c.position, c.box.x, c.box.y]),
+        [
+            ["top-left", 0, 396],
+            ["top-right", 306, 396],
+            ["bottom-left", 0, 0],
+            ["bottom-right", 306, 0],
+        ],
+    );
+    assert.equal(cells[0].cropProfile, "bulk-grid");
+});
+
+test("isLabelLayout knows the layout names", () => {
+    assert.equal(isLabelLayout("3x1"), true);
+    assert.equal(isLabelLayout("toString"), false);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+require("./setup");
+const {
+    recordProcessed,
+    findProcessed,
+    hasSameSources,
+    queryLedger,
+    recordDownloaded,
+    lastDownloads,
+} = require("../src/ledger");
+
+function result(orderId, type, sha256) {
+    return {
+        filename: orderId,
+        metadata: {
+            orderId,
+            type,
+            shop: type === "etsy" ? "rubyvibeco" : null,
+        },
+        sourceFiles: [{ name: `label-${orderId}.pdf`, sha256 }],
+    };
+}
+
+test("hasSameSources compares hashes, not names or order", () => {
+    const entry = {
+        sourceFiles: [
+            { name: "label.pdf", sha256: "a" },
+            { name: "slip.pdf", sha256: "b" },
+        ],
+    };
+    assert.equal(
+        hasSameSources(entry, [
+            { name: "slip (1).pdf", sha256: "b" },
+            { name: "other.pdf", sha256: "a" },
+        ]),
+        true,
+    );
+    assert.equal(
+        hasSameSources(entry, [{ name: "label.pdf", sha256: "a" }]),
+        false,
+    );
+    assert.equal(hasSameSources({}, []), true);
+});
+
+test("records versions and queries them newest first", async () => {
+    await recordProcessed(result("4000000001", "etsy", "a"), "/out/4000000001");
+    await recordProcessed(
+        result("4000000002", "tiktok", "b"),
+        "/out/4000000002",
+    );
+    await recordProcessed(
+        result("4000000001", "etsy", "c"),
+        "/out/4000000001",
+        "/out/old versions/4000000001-x",
+    );
+
+    const latest = findProcessed("4000000001");
+    assert.equal(latest.version, 2);
+    assert.equal(latest.archivedPath, "/out/old versions/4000000001-x");
+    assert.equal(findProcessed("4000000009"), null);
+
+    assert.deepEqual(
+        queryLedger().map((e) => [e.orderId, e.version]),
+        [
+            ["4000000001", 2],
+            ["4000000002", 1],
+            ["4000000001", 1],
+        ],
+    );
+    assert.deepEqual(
+        queryLedger({ type: "tiktok" }).map((e) => e.orderId),
+        ["4000000002"],
+    );
+    assert.equal(queryLedger({ shop: "rubyvibeco", limit: 1 }).length, 1);
+    assert.equal(queryLedger({ until: "2000-01-01" }).length, 0);
+    assert.equal(queryLedger({ since: "2000-01-01" }).length, 3);
+
+    const lines = fs
+        .readFileSync(process.env.LEDGER_FILE, "utf8")
+        .trim()
+        .split("\n");
+    assert.equal(lines.length, 3);
+});
+
+test("records downloads apart from processed entries", async () => {
+    const downloads = await recordDownloaded(["4000000001", "4000000003"]);
+    assert.deepEqual(Object.keys(downloads), ["4000000001", "4000000003"]);
+    assert.deepEqual(lastDownloads(["4000000003", "4000000009"]), {
+        4000000003: downloads["4000000003"],
+    });
+    assert.equal(Object.keys(lastDownloads()).length, 2);
+    // Downloads are not processed orders
+    assert.equal(queryLedger({ orderId: "4000000003" }).length, 0);
+});
+
+test("an earlier download carried over doesn't hide a later one", async () => {
+    const [latest] = Object.values(await recordDownloaded(["4000000004"]));
+    await recordDownloaded(["4000000004"], "2025-06-01T12:00:00.000Z");
+    await recordDownloaded(["4000000005"], "2025-06-01T12:00:00.000Z");
+    assert.deepEqual(lastDownloads(["4000000004", "4000000005"]), {
+        4000000004: latest,
+        4000000005: "2025-06-01T12:00:00.000Z",
+    });
+});
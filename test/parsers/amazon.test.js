@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../setup");
+const { parseDocument, isPackingSlip } = require("../../src/parsers");
+
+const SLIP = [
+    "amazon.com",
+    "Packing Slip",
+    "Order ID: 113-1234567-1234567",
+    "Order Date: Thu, Jan 22, 2026",
+    "Buyer Name: Jane Doe",
+].join("\n");
+
+test("reads an Amazon slip's order ID, date and buyer", () => {
+    const metadata = parseDocument(SLIP);
+    assert.equal(metadata.type, "amazon");
+    assert.equal(metadata.id, "113-1234567-1234567");
+    assert.equal(metadata.date, "01/22/2026");
+    assert.equal(metadata.buyerName, "Jane Doe");
+    assert.equal(metadata.buyerUsername, "Jane Doe");
+});
+
+test("reads the tracking number", () => {
+    const metadata = parseDocument(`${SLIP}\nTracking ID: 1Z999AA10123456784`);
+    assert.equal(metadata.tracking, "1Z999AA10123456784");
+});
+
+test("does not read a word as the tracking number", () => {
+    const metadata = parseDocument(
+        `${SLIP}\nTracking information not available`,
+    );
+    assert.equal(metadata.tracking, "-");
+});
+
+test("the slip is a packing slip, a label with the order ID is not", () => {
+    assert.equal(isPackingSlip(SLIP), true);
+    assert.equal(
+        isPackingSlip(
+            "Amazon Buy Shipping\nOrder ID: 113-1234567-1234567\nUSPS TRACKING # 9400 1118 9922 3344 5566 77",
+        ),
+        false,
+    );
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../setup");
+const { parseDocument, isPackingSlip } = require("../../src/parsers");
+
+const SLIP = [
+    "ebay",
+    "Packing slip",
+    "Order number: 12-10523-78903",
+    "Order date: Jan 22, 2026",
+    "Buyer: jdoe123",
+    "Ship to",
+    "Jane Doe",
+].join("\n");
+
+test("reads an eBay slip's order ID, date, buyer and user ID", () => {
+    const metadata = parseDocument(SLIP);
+    assert.equal(metadata.type, "ebay");
+    assert.equal(metadata.id, "12-10523-78903");
+    assert.equal(metadata.date, "01/22/2026");
+    assert.equal(metadata.buyerName, "Jane Doe");
+    assert.equal(metadata.buyerUsername, "jdoe123");
+});
+
+test("reads the tracking number", () => {
+    const metadata = parseDocument(
+        `${SLIP}\nTracking number: 9400111899223344556677`,
+    );
+    assert.equal(metadata.tracking, "9400111899223344556677");
+});
+
+test("does not read a word as the tracking number", () => {
+    const withoutNumber = parseDocument(
+        `${SLIP}\nTracking: Unavailable-pending`,
+    );
+    assert.equal(withoutNumber.tracking, "-");
+    const notAvailable = parseDocument(
+        `${SLIP}\nTracking information not available`,
+    );
+    assert.equal(notAvailable.tracking, "-");
+});
+
+test("the slip is a packing slip, a label with the order ID is not", () => {
+    assert.equal(isPackingSlip(SLIP), true);
+    assert.equal(
+        isPackingSlip(
+            "eBay Labels\nOrder number: 12-10523-78903\nUSPS TRACKING # 9400 1118 9922 3344 5566 77",
+        ),
+        false,
+    );
+});
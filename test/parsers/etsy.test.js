@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../setup");
+const { parseDocument } = require("../../src/parsers");
+
+const SLIP = [
+    "Order #3953698770",
+    "Order date",
+    "Jan 22, 2026",
+    "Buyer",
+    "Jane Doe (janedoe88)",
+    "Tracking",
+    "9400 1118 9922 3344 5566 77",
+    "2 items",
+    "Sterling Silver Ring",
+    "SKU: RING-001",
+    "Size: 7",
+    "1 x $25.00",
+    "Charm Necklace",
+    "Personalization: Anna",
+    "1 x $30.00",
+    "Item total",
+    "rubyvibeco.etsy.com",
+].join("\n");
+
+test("reads an Etsy slip's order, buyer, tracking and shop", () => {
+    const metadata = parseDocument(SLIP);
+    assert.equal(metadata.type, "etsy");
+    assert.equal(metadata.id, "3953698770");
+    assert.equal(metadata.date, "01/22/2026");
+    assert.equal(metadata.buyerName, "Jane Doe");
+    assert.equal(metadata.buyerUsername, "janedoe88");
+    assert.equal(metadata.tracking, "9400111899223344556677");
+    assert.equal(metadata.isGift, false);
+    assert.equal(metadata.shop, "rubyvibeco");
+});
+
+test("reads the items between the count and the totals", () => {
+    const { items } = parseDocument(SLIP);
+    assert.equal(items.length, 2);
+    assert.equal(items[0].title, "Sterling Silver Ring");
+    assert.equal(items[0].sku, "RING-001");
+    assert.equal(items[0].quantity, 1);
+    assert.equal(items[1].personalization, "Anna");
+});
+
+test("a buyer username alone fills both buyer fields", () => {
+    const metadata = parseDocument("Order #3953698770\nBuyer janedoe88");
+    assert.equal(metadata.buyerName, "janedoe88");
+    assert.equal(metadata.buyerUsername, "janedoe88");
+});
+
+test("gift orders give the buyer on the line after the order ID", () => {
+    const metadata = parseDocument(
+        "Marked as gift\nOrder #3953698770\njanedoe88 (janedoe88)\nShip to",
+    );
+    assert.equal(metadata.isGift, true);
+    assert.equal(metadata.buyerUsername, "janedoe88");
+});
+
+test("unknown fields default to '-'", () => {
+    const metadata = parseDocument("Order ID: 3953698770");
+    assert.equal(metadata.date, "-");
+    assert.equal(metadata.tracking, "-");
+    assert.equal(metadata.buyerName, "-");
+    assert.deepEqual(metadata.items, []);
+    assert.equal(metadata.shop, null);
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../setup");
+const {
+    registerParser,
+    getParser,
+    getParsers,
+    parseDocument,
+    findOrderIds,
+    isPackingSlip,
+} = require("../../src/parsers");
+
+test("marketplaces are tried in registration order", () => {
+    assert.deepEqual(
+        getParsers().map((p) => p.type),
+        ["amazon", "ebay", "tiktok", "shopify", "etsy"],
+    );
+});
+
+test("findOrderIds lists IDs in reading order, dashed IDs whole", () => {
+    const text = [
+        "Order #3953698770",
+        "Order ID: 113-1234567-1234567",
+        "Order number: 12-10523-78903",
+        "Order ID: 576000000000000011",
+    ].join("\n");
+    assert.deepEqual(findOrderIds(text), [
+        "3953698770",
+        "113-1234567-1234567",
+        "12-10523-78903",
+        "576000000000000011",
+    ]);
+    assert.deepEqual(
+        findOrderIds("Order #3953698770\nOrder ID: 576000000000000011", {
+            types: ["tiktok"],
+        }),
+        ["576000000000000011"],
+    );
+    assert.deepEqual(findOrderIds(""), []);
+});
+
+test("parseDocument can be limited to some marketplaces", () => {
+    const text = "Order #3953698770";
+    assert.equal(parseDocument(text).type, "etsy");
+    assert.equal(parseDocument(text, { types: ["tiktok"] }), null);
+    assert.equal(parseDocument(""), null);
+});
+
+test("isPackingSlip looks for a shop's slip marker", () => {
+    const slip = "Order #3953698770\nrubyvibeco.etsy.com";
+    assert.equal(isPackingSlip(slip), true);
+    assert.equal(isPackingSlip(slip, { types: ["tiktok"] }), false);
+    assert.equal(isPackingSlip("Order #3953698770"), false);
+});
+
+test("registerParser replaces a parser of the same type", () => {
+    const etsy = getParser("etsy");
+    const custom = { ...etsy, parse: () => ({ id: "custom" }) };
+    try {
+        registerParser(custom);
+        assert.equal(getParser("etsy"), custom);
+        assert.equal(parseDocument("Order #1").id, "custom");
+    } finally {
+        registerParser(etsy);
+    }
+    assert.throws(() => registerParser({ type: "x" }), /parse\(text\)/);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseItems } = require("../../src/parsers/items");
+
+const SECTION = { start: /^\d+\s+items?$/i, end: /^Subtotal\b/i };
+
+function slip(lines) {
+    return ["Order #3000000001", ...lines, "Subtotal $50.00"].join("\n");
+}
+
+test("reads each item's title, SKU, variations, personalization and quantity", () => {
+    const items = parseItems(
+        slip([
+            "2 items",
+            "Sterling Silver Ring",
+            "SKU: RING-001",
+            "Size: 7",
+            "Personalization: Anna",
+            "1 x $25.00",
+            "Charm Necklace",
+            "Color: Gold",
+            "Chain length: 18 in",
+            "2 x $12.50",
+        ]),
+        SECTION,
+    );
+    assert.deepEqual(items, [
+        {
+            title: "Sterling Silver Ring",
+            sku: "RING-001",
+            variation: "Size: 7",
+            quantity: 1,
+            personalization: "Anna",
+        },
+        {
+            title: "Charm Necklace",
+            sku: null,
+            variation: "Color: Gold, Chain length: 18 in",
+            quantity: 2,
+            personalization: null,
+        },
+    ]);
+});
+
+test("a second plain line wraps the title, or names the variant", () => {
+    const lines = ["1 item", "Personalized Birthstone", "Necklace", "1 x $30"];
+    assert.equal(
+        parseItems(slip(lines), SECTION)[0].title,
+        "Personalized Birthstone Necklace",
+    );
+    const [item] = parseItems(slip(lines), {
+        ...SECTION,
+        extraLines: "variation",
+    });
+    assert.equal(item.title, "Personalized Birthstone");
+    assert.equal(item.variation, "Necklace");
+});
+
+test("quantity lines come in several forms", () => {
+    const quantities = ["3 x $5.00", "Qty: 3", "3 of 3", "x3", "3"].map(
+        (line) =>
+            parseItems(slip(["1 item", "Sticker", line]), SECTION)[0].quantity,
+    );
+    assert.deepEqual(quantities, [3, 3, 3, 3, 3]);
+});
+
+test("column headers and prices are skipped, items end at the end line", () => {
+    const items = parseItems(
+        slip([
+            "1 item",
+            "Product",
+            "Quantity",
+            "Sterling Silver Ring",
+            "$25.00",
+            "1 x $25.00",
+        ]) + "\nNot an item\n1",
+        SECTION,
+    );
+    assert.deepEqual(
+        items.map((i) => i.title),
+        ["Sterling Silver Ring"],
+    );
+});
+
+test("no item section, no items", () => {
+    assert.deepEqual(parseItems(slip(["Sterling Silver Ring"]), SECTION), []);
+    assert.deepEqual(parseItems("", SECTION), []);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../setup");
+const { parseDocument, findOrderIds } = require("../../src/parsers");
+
+const SLIP = [
+    "Order #1001",
+    "Jan 22, 2026",
+    "Ship to Bill to",
+    "Jane Doe",
+    "jane@example.com",
+    "Items Quantity",
+    "Sterling Silver Ring",
+    "Size 7",
+    "SKU: RING-001",
+    "1 of 1",
+    "Thank you for shopping with us!",
+    "app.rubyvibeco.com",
+].join("\n");
+
+test("reads a Shopify slip, keeping the # in the order name", () => {
+    const metadata = parseDocument(SLIP);
+    assert.equal(metadata.type, "shopify");
+    assert.equal(metadata.id, "#1001");
+    assert.equal(metadata.date, "01/22/2026");
+    assert.equal(metadata.buyerName, "Jane Doe");
+    assert.equal(metadata.buyerUsername, "jane@example.com");
+    assert.equal(metadata.items.length, 1);
+    assert.equal(metadata.items[0].sku, "RING-001");
+});
+
+test("a labelled customer and email win", () => {
+    const metadata = parseDocument(
+        `Customer: John Roe\nEmail: john@example.com\n${SLIP}`,
+    );
+    assert.equal(metadata.buyerName, "John Roe");
+    assert.equal(metadata.buyerUsername, "john@example.com");
+});
+
+test("without the shop's marker it is not read as Shopify", () => {
+    const metadata = parseDocument("Order #1001\nJan 22, 2026");
+    assert.equal(metadata.type, "etsy");
+});
+
+test("Shopify order names are not scanned for in other documents", () => {
+    assert.deepEqual(findOrderIds("Order 2 of 3"), []);
+});
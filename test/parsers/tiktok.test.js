@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../setup");
+const { parseDocument } = require("../../src/parsers");
+
+const SLIP = [
+    "Order ID: 576000000000000011",
+    "Order date: 2026/01/22",
+    "Ship to",
+    "Jane Doe",
+    "Buyer: @janedoe88",
+    "Shipping provider: USPS",
+    "Tracking number: 9400 1118 9922 3344 5566 77",
+    "Items",
+    "Sterling Silver Ring",
+    "Size: 7",
+    "Qty: 2",
+    "app.rubyvibeco.com",
+].join("\n");
+
+test("reads a TikTok slip's order, recipient, username and carrier", () => {
+    const metadata = parseDocument(SLIP);
+    assert.equal(metadata.type, "tiktok");
+    assert.equal(metadata.id, "576000000000000011");
+    assert.equal(metadata.date, "01/22/2026");
+    assert.equal(metadata.buyerName, "Jane Doe");
+    assert.equal(metadata.buyerUsername, "janedoe88");
+    assert.equal(metadata.carrier, "usps");
+    assert.equal(metadata.tracking, "9400111899223344556677");
+    assert.equal(metadata.shop, "rubyvibeco");
+});
+
+test("items end at the shop's footer", () => {
+    const { items } = parseDocument(SLIP);
+    assert.equal(items.length, 1);
+    assert.equal(items[0].title, "Sterling Silver Ring");
+    assert.equal(items[0].quantity, 2);
+});
+
+test("does not read a word as the tracking number", () => {
+    const metadata = parseDocument(
+        "Order ID: 576000000000000011\nTracking number: Pending shipment",
+    );
+    assert.equal(metadata.tracking, "-");
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument } = require("pdf-lib");
+const {
+    aggregatePickList,
+    buildPickListPdf,
+    printable,
+} = require("../src/picklist");
+
+function result(orderId, items) {
+    return { filename: orderId, metadata: { orderId, items } };
+}
+
+function item(title, extra = {}) {
+    return { title, sku: null, variation: null, quantity: 1, ...extra };
+}
+
+test("totals each SKU across orders, SKUs first", () => {
+    const { rows, ordersWithoutItems } = aggregatePickList([
+        result("3000000001", [
+            item("Sterling Silver Ring", { sku: "RING-10", quantity: 2 }),
+            item("Gift Wrap"),
+        ]),
+        result("3000000002", [
+            item("Silver Ring, size 7", { sku: "RING-10" }),
+            item("Charm Necklace", { sku: "RING-9" }),
+        ]),
+        result("3000000003", []),
+    ]);
+    assert.deepEqual(
+        rows.map((r) => [r.sku, r.title, r.quantity, r.orders]),
+        [
+            ["RING-9", "Charm Necklace", 1, ["3000000002"]],
+            [
+                "RING-10",
+                "Sterling Silver Ring",
+                3,
+                ["3000000001", "3000000002"],
+            ],
+            [null, "Gift Wrap", 1, ["3000000001"]],
+        ],
+    );
+    assert.deepEqual(ordersWithoutItems, ["3000000003"]);
+});
+
+test("items without a SKU group by title and variation", () => {
+    const { rows } = aggregatePickList([
+        result("3000000001", [item("Mug", { variation: "Color: Blue" })]),
+        result("3000000002", [
+            item("Mug", { variation: "Color: Blue", quantity: 2 }),
+            item("Mug", { variation: "Color: Red" }),
+        ]),
+    ]);
+    assert.deepEqual(
+        rows.map((r) => [r.variation, r.quantity]),
+        [
+            ["Color: Blue", 3],
+            ["Color: Red", 1],
+        ],
+    );
+});
+
+test("an order listed twice counts its items twice but is named once", () => {
+    const order = result("3000000001", [item("Mug", { sku: "MUG" })]);
+    const [row] = aggregatePickList([order, order]).rows;
+    assert.equal(row.quantity, 2);
+    assert.deepEqual(row.orders, ["3000000001"]);
+});
+
+test("the PDF holds the table on as many pages as it needs", async () => {
+    const results = Array.from({ length: 80 }, (_, i) =>
+        result(`30000000${String(i).padStart(2, "0")}`, [
+            item(`Item ${i}`, { sku: `SKU-${i}` }),
+        ]),
+    );
+    const one = await PDFDocument.load(
+        await buildPickListPdf(results.slice(0, 3)),
+    );
+    const many = await PDFDocument.load(await buildPickListPdf(results));
+    assert.equal(one.getPageCount(), 1);
+    assert.ok(many.getPageCount() > 1);
+    assert.equal(one.getTitle(), "Pick List");
+});
+
+test("printable drops characters the standard fonts can't draw", () => {
+    assert.equal(printable("Ring 💍 für Anna"), "Ring  für Anna");
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument, StandardFonts } = require("pdf-lib");
+
+require("./setup");
+const {
+    isSlip,
+    hasItemsText,
+    processLabels,
+    extractBulkLabels,
+    extractBulkSlips,
+} = require("../src/processor");
+
+// One Letter page per entry, one line of text per string
+async function makePdf(pages) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    for (const lines of pages) {
+        const page = doc.addPage([612, 792]);
+        lines.forEach((text, i) => {
+            page.drawText(text, { x: 50, y: 742 - i * 20, size: 10, font });
+        });
+    }
+    return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
+
+// A Letter sheet printed two-up: one label in each half
+async function makeSheet(topLines, bottomLines) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const page = doc.addPage([612, 792]);
+    [
+        [topLines, 742],
+        [bottomLines, 346],
+    ].forEach(([lines, top]) => {
+        lines.forEach((text, i) => {
+            page.drawText(text, { x: 50, y: top - i * 20, size: 10, font });
+        });
+    });
+    return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
+
+test("isSlip: Etsy, Amazon and eBay slips drive the pairing", async () => {
+    const etsy = await makePdf([["Order #3953698770", "rubyvibeco.etsy.com"]]);
+    const amazon = await makePdf([
+        ["amazon.com", "Packing Slip", "Order ID: 113-1234567-1234567"],
+    ]);
+    const ebay = await makePdf([
+        ["ebay", "Packing slip", "Order number: 12-10523-78903"],
+    ]);
+    assert.equal(await isSlip(etsy), true);
+    assert.equal(await isSlip(amazon), true);
+    assert.equal(await isSlip(ebay), true);
+});
+
+test("isSlip: TikTok and Shopify slips and labels are not pair slips", async () => {
+    const tiktok = await makePdf([
+        ["Order ID: 576000000000000011", "Items", "app.rubyvibeco.com"],
+    ]);
+    const shopify = await makePdf([["Order #1001", "app.rubyvibeco.com"]]);
+    const label = await makePdf([
+        ["USPS GROUND ADVANTAGE", "Order #3953698770", "9400 1118 9922 3344"],
+    ]);
+    assert.equal(await isSlip(tiktok), false);
+    assert.equal(await isSlip(shopify), false);
+    assert.equal(await isSlip(label), false);
+    assert.equal(await hasItemsText(tiktok), true);
+});
+
+test("isSlip: labels bought through Amazon or eBay are not slips", async () => {
+    const amazonLabel = await makePdf([
+        [
+            "USPS GROUND ADVANTAGE",
+            "Shipped with Amazon Buy Shipping",
+            "Order ID: 113-1234567-1234567",
+            "9400 1118 9922 3344 5566 77",
+        ],
+    ]);
+    const ebayLabel = await makePdf([
+        [
+            "USPS GROUND ADVANTAGE",
+            "eBay Labels",
+            "Order number: 12-10523-78903",
+            "9400 1118 9922 3344 5566 77",
+        ],
+    ]);
+    assert.equal(await isSlip(amazonLabel), false);
+    assert.equal(await isSlip(ebayLabel), false);
+});
+
+test("processLabels crops a two-up sheet to the half holding the order", async () => {
+    const sheet = await makeSheet(
+        ["Order #2222222222", "USPS GROUND ADVANTAGE"],
+        ["Order #1111111111", "USPS GROUND ADVANTAGE"],
+    );
+    const slip = await makePdf([["Order #1111111111", "rubyvibeco.etsy.com"]]);
+    const { pdfBytes, metadata } = await processLabels(sheet, slip);
+    assert.equal(metadata.orderId, "1111111111");
+
+    const [label] = (await PDFDocument.load(pdfBytes)).getPages();
+    const crop = label.getCropBox();
+    assert.ok(crop.y + crop.height <= 396, `cropped at y=${crop.y}`);
+});
+
+test("an order's source hash ignores the other orders in the file", async () => {
+    const slips = (ids) =>
+        makePdf(ids.map((id) => [`Order #${id}`, "rubyvibeco.etsy.com"]));
+    const [before] = await extractBulkSlips(await slips(["1111111111"]));
+    const [after] = await extractBulkSlips(
+        await slips(["1111111111", "2222222222"]),
+    );
+    assert.match(before.sourceHash, /^[0-9a-f]{64}$/);
+    assert.equal(after.id, "1111111111");
+    assert.equal(after.sourceHash, before.sourceHash);
+
+    const label = ["Order #1111111111", "USPS GROUND ADVANTAGE"];
+    const [cell] = await extractBulkLabels(await makeSheet(label, []));
+    const [sameCell] = await extractBulkLabels(
+        await makeSheet(label, ["Order #2222222222", "USPS GROUND ADVANTAGE"]),
+    );
+    assert.match(cell.sourceHash, /^[0-9a-f]{64}$/);
+    assert.equal(sameCell.id, "1111111111");
+    assert.equal(sameCell.sourceHash, cell.sourceHash);
+});
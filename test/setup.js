@@ -0,0 +1,13 @@
+// Require before anything from src/: the default shop markers and crop
+// profiles, whatever settings.json holds locally, and a ledger of our own in
+// a temp folder that goes away with the test process
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "croissant-test-"));
+process.env.SETTINGS_FILE = path.join(tmp, "settings.json");
+process.env.LEDGER_FILE = path.join(tmp, "ledger.ndjson");
+process.on("exit", () => fs.rmSync(tmp, { recursive: true, force: true }));
+
+module.exports = { tmp };
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+require("./setup");
+const {
+    SETTINGS_FILE,
+    getShops,
+    saveShop,
+    deleteShop,
+    normalizeShop,
+    reloadSettings,
+} = require("../src/settings");
+const {
+    shopMarkers,
+    hasShopMarker,
+    findShopName,
+    endAtShopMarkers,
+} = require("../src/shops");
+const { isPackingSlip, parseDocument } = require("../src/parsers");
+
+// Tests run in order and share the temp settings.json
+
+test("without a shops list, the default shop is recognized", () => {
+    assert.deepEqual(
+        getShops().map((s) => s.name),
+        ["rubyvibeco"],
+    );
+    assert.equal(hasShopMarker("Thanks! rubyvibeco.etsy.com", "etsy"), true);
+    assert.equal(hasShopMarker("Thanks! rubyvibeco.etsy.com", "tiktok"), false);
+    assert.equal(findShopName("app.rubyvibeco.com"), "rubyvibeco");
+    assert.equal(findShopName("someone-else.etsy.com"), null);
+});
+
+test("a saved shop is matched and kept in settings.json with the default", async () => {
+    await saveShop({
+        name: "moonshop",
+        slipMarkers: { etsy: "moonshop.etsy.com, Moon Shop" },
+        shopifyEndMarkers: ["shop.moon.example"],
+    });
+    assert.deepEqual(shopMarkers("etsy"), [
+        "rubyvibeco.etsy.com",
+        "moonshop.etsy.com",
+        "Moon Shop",
+    ]);
+    assert.deepEqual(shopMarkers("shopify"), [
+        "app.rubyvibeco.com",
+        "shop.moon.example",
+    ]);
+    assert.equal(findShopName("Order #1001\nshop.moon.example"), "moonshop");
+
+    const saved = JSON.parse(fs.readFileSync(SETTINGS_FILE, "utf8"));
+    assert.deepEqual(
+        saved.shops.map((s) => s.name),
+        ["rubyvibeco", "moonshop"],
+    );
+    reloadSettings();
+    assert.equal(findShopName("Moon Shop"), "moonshop");
+});
+
+test("the second shop's slips are recognized and tagged with it", () => {
+    const slip = "Order #3953698770\nmoonshop.etsy.com";
+    assert.equal(isPackingSlip(slip), true);
+    assert.equal(parseDocument(slip).shop, "moonshop");
+    assert.equal(isPackingSlip("Order #3953698770\nsunshop.etsy.com"), false);
+});
+
+test("saving a shop by an existing name replaces it", async () => {
+    await saveShop({ name: "moonshop", slipMarkers: { tiktok: "moon.app" } });
+    assert.equal(findShopName("Moon Shop"), null);
+    assert.equal(findShopName("moon.app"), "moonshop");
+    assert.equal(getShops().length, 2);
+});
+
+test("deleting a shop stops its markers matching", async () => {
+    assert.equal(await deleteShop("moonshop"), true);
+    assert.equal(await deleteShop("moonshop"), false);
+    assert.equal(findShopName("moon.app"), null);
+});
+
+test("a shop needs a plain name and at least one marker", () => {
+    assert.throws(
+        () => normalizeShop({ name: "my shop", shopifyEndMarkers: "x" }),
+        /Shop name is required/,
+    );
+    assert.throws(
+        () => normalizeShop({ name: "empty", slipMarkers: { etsy: " , " } }),
+        /needs at least one marker/,
+    );
+});
+
+test("item lists also end at a line starting with a shop marker", () => {
+    const pattern = endAtShopMarkers(/^Subtotal/m, "etsy");
+    assert.match("Mug x1\nrubyvibeco.etsy.com", pattern);
+    assert.doesNotMatch("Mug x1\nVisit rubyvibeco.etsy.com", pattern);
+});
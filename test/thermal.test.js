@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument, StandardFonts, degrees } = require("pdf-lib");
+const { analyzeDocument } = require("../src/analysis");
+const { THERMAL_4X6, normalizeTo4x6 } = require("../src/thermal");
+
+// One page per spec, each with a marker word drawn at the given point
+async function makePdf(specs) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    for (const spec of specs) {
+        const page = doc.addPage(spec.size);
+        page.drawText(spec.text, { x: spec.at[0], y: spec.at[1], font });
+        if (spec.crop) page.setCropBox(...spec.crop);
+        if (spec.rotate) page.setRotation(degrees(spec.rotate));
+    }
+    return doc.save();
+}
+
+async function layout(pdfBytes) {
+    const doc = await PDFDocument.load(pdfBytes);
+    const { pageItems } = await analyzeDocument(Buffer.from(pdfBytes));
+    return doc.getPages().map((page, i) => ({
+        size: [page.getWidth(), page.getHeight()],
+        rotation: page.getRotation().angle,
+        item: pageItems[i][0],
+    }));
+}
+
+function near(actual, expected) {
+    assert.ok(
+        Math.abs(actual - expected) < 1,
+        `expected ${actual} to be about ${expected}`,
+    );
+}
+
+test("every page comes out 4x6 portrait", async () => {
+    const pages = await layout(
+        await normalizeTo4x6(
+            await makePdf([
+                { size: [792, 612], text: "LABEL", at: [20, 306] },
+                { size: [612, 792], text: "SLIP", at: [20, 20] },
+            ]),
+        ),
+    );
+    assert.equal(pages.length, 2);
+    for (const page of pages) {
+        assert.deepEqual(page.size, [THERMAL_4X6.width, THERMAL_4X6.height]);
+        assert.equal(page.rotation, 0);
+    }
+});
+
+test("a cropped label fills the stock, centered", async () => {
+    // Top-left quarter of a letter sheet: 306x396, scaled by 432/396
+    const [page] = await layout(
+        await normalizeTo4x6(
+            await makePdf([
+                {
+                    size: [612, 792],
+                    text: "LABEL",
+                    at: [10, 776],
+                    crop: [0, 396, 306, 396],
+                },
+            ]),
+        ),
+    );
+    const scale = Math.min(288 / 306, 432 / 396);
+    near(page.item.x, (288 - 306 * scale) / 2 + 10 * scale);
+    near(page.item.y, (432 - 396 * scale) / 2 + 380 * scale);
+});
+
+test("a landscape label is turned a quarter clockwise", async () => {
+    // The left edge of the landscape page ends up along the top
+    const [page] = await layout(
+        await normalizeTo4x6(
+            await makePdf([{ size: [600, 400], text: "LABEL", at: [0, 200] }]),
+        ),
+    );
+    const scale = Math.min(288 / 400, 432 / 600);
+    near(page.item.x, 288 - 200 * scale);
+    near(page.item.y, 432);
+});
+
+test("slips are scaled down to fit and top-aligned, never up", async () => {
+    const [, letter, small] = await layout(
+        await normalizeTo4x6(
+            await makePdf([
+                { size: [288, 432], text: "LABEL", at: [0, 0] },
+                { size: [612, 792], text: "SLIP", at: [0, 772] },
+                { size: [200, 300], text: "NOTE", at: [0, 0] },
+            ]),
+        ),
+    );
+    const scale = Math.min(288 / 612, 432 / 792);
+    near(letter.item.x, 0);
+    near(letter.item.y, 432 - 20 * scale);
+    near(small.item.x, 44);
+    near(small.item.y, 132);
+});
+
+test("labelPageCount picks how many leading pages are labels", async () => {
+    const source = await makePdf([
+        { size: [288, 432], text: "LABEL", at: [0, 0] },
+        { size: [600, 400], text: "SECOND", at: [0, 200] },
+    ]);
+    const [, slip] = await layout(await normalizeTo4x6(source));
+    const [, label] = await layout(
+        await normalizeTo4x6(source, { labelPageCount: 2 }),
+    );
+    // As a slip it keeps its orientation; as a label it is turned
+    near(slip.item.x, 0);
+    near(label.item.y, 432);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument } = require("pdf-lib");
+
+// No worker threads: every task runs one at a time on this thread
+process.env.WORKER_CONCURRENCY = "0";
+require("./setup");
+const { runTask, poolSize } = require("../src/workers");
+
+async function blankPdf(pageCount) {
+    const doc = await PDFDocument.create();
+    for (let i = 0; i < pageCount; i++) doc.addPage([288, 432]);
+    return Buffer.from(await doc.save());
+}
+
+test("WORKER_CONCURRENCY=0 runs the processor on the main thread", async () => {
+    assert.equal(poolSize(), 0);
+    const result = await runTask("processTikTokPair", [
+        await blankPdf(1),
+        await blankPdf(2),
+        "576000000000000011",
+    ]);
+    const merged = await PDFDocument.load(result.pdfBytes);
+    assert.equal(merged.getPageCount(), 3);
+    assert.equal(result.metadata.orderId, "576000000000000011");
+});
+
+test("an unknown task is rejected before it is queued", async () => {
+    await assert.rejects(runTask("deleteEverything", []), {
+        message: "Unknown worker task: deleteEverything",
+    });
+});
+
+test("a failing task rejects with its error and the next one still runs", async () => {
+    const label = await blankPdf(1);
+    const [failed, ok] = await Promise.allSettled([
+        runTask("processTikTokPair", [label, Buffer.from("not a pdf"), "1"]),
+        runTask("processTikTokPair", [label, label, "2"]),
+    ]);
+    assert.equal(failed.status, "rejected");
+    assert.equal(ok.status, "fulfilled");
+    assert.equal(ok.value.metadata.orderId, "2");
+});
+
+test("a cancelled job's queued tasks are dropped, others still run", async () => {
+    const label = await blankPdf(1);
+    const controller = new AbortController();
+    const running = runTask("processTikTokPair", [label, label, "1"]);
+    const queued = runTask("processTikTokPair", [label, label, "2"], {
+        signal: controller.signal,
+    });
+    controller.abort();
+
+    assert.equal((await running).metadata.orderId, "1");
+    await assert.rejects(queued, { name: "AbortError", message: "Cancelled" });
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument, rgb } = require("pdf-lib");
+const { pdfToZpl } = require("../src/zpl");
+
+// One page per size, each with a black box in its top-left quarter
+async function makePdf(sizes) {
+    const doc = await PDFDocument.create();
+    for (const [width, height] of sizes) {
+        const page = doc.addPage([width, height]);
+        page.drawRectangle({
+            x: 0,
+            y: height / 2,
+            width: width / 2,
+            height: height / 2,
+            color: rgb(0, 0, 0),
+        });
+    }
+    return doc.save();
+}
+
+// The ^GF header of each format: [width, height, total bytes, bytes per row]
+function graphicFields(zpl) {
+    return [
+        ...zpl.matchAll(/\^PW(\d+)\^LL(\d+)\^FO0,0\^GFA,(\d+),\d+,(\d+),/g),
+    ].map((m) => m.slice(1).map(Number));
+}
+
+test("one ^XA...^XZ format per label page, sized at the dpi", async () => {
+    const pdf = await makePdf([
+        [288, 432],
+        [288, 432],
+    ]);
+    const zpl = await pdfToZpl(pdf);
+    assert.match(zpl, /^\^XA.*\^XZ$/s);
+    assert.deepEqual(graphicFields(zpl), [[812, 1218, 102 * 1218, 102]]);
+
+    const both = await pdfToZpl(pdf, { dpi: 300, labelPageCount: 2 });
+    assert.deepEqual(graphicFields(both), [
+        [1200, 1800, 150 * 1800, 150],
+        [1200, 1800, 150 * 1800, 150],
+    ]);
+});
+
+test("landscape pages are turned to print portrait", async () => {
+    const zpl = await pdfToZpl(await makePdf([[432, 288]]));
+    assert.deepEqual(graphicFields(zpl)[0].slice(0, 2), [812, 1218]);
+});
+
+test("rows are compressed: repeats, runs and zero padding", async () => {
+    const zpl = await pdfToZpl(await makePdf([[288, 432]]));
+    // Identical rows collapse to ":"
+    assert.match(zpl, /::::/);
+    // A black half row is a run of F's then "," for the white rest
+    assert.match(zpl, /[g-z]+[G-Y]*F[0-9A-F]*,/);
+    assert.ok(zpl.length < 20000, `${zpl.length} characters`);
+});
+
+test("rejects printer resolutions other than 203 and 300 dpi", async () => {
+    await assert.rejects(
+        pdfToZpl(await makePdf([[288, 432]]), { dpi: 600 }),
+        /dpi must be one of 203, 300/,
+    );
+});